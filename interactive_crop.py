@@ -1,9 +1,13 @@
 import os
+import io
+import asyncio
+import math
 import uuid
 import threading
 import json
 import time
-from typing import Dict, Tuple, Any
+import urllib.parse
+from typing import Dict, List, Optional, Tuple, Any
 
 import torch
 import numpy as np
@@ -13,11 +17,78 @@ import folder_paths
 from aiohttp import web
 from server import PromptServer
 import comfy.model_management
-
-TIMEOUT_SECONDS = 4 * 60  # 4 minutes
+import comfy.utils
+
+TIMEOUT_SECONDS = 4 * 60  # 4 minutes (default; Interactive Crop exposes it as an input)
+
+# Previews go to the browser as WebP no larger than this; selections stay in original pixels.
+PREVIEW_MAX_SIDE = 2048
+PREVIEW_QUALITY = 90
+# Full-resolution tiles fetched while zoomed in past the preview's resolution.
+TILE_MAX_SIDE = 2048
+
+# What Interactive Crop does when nobody answers in time. "apply_last" reuses the crop saved
+# with the workflow, else the last one applied on the same node and image size (passthrough if none).
+TIMEOUT_ACTIONS = ["fail", "passthrough", "apply_last"]
+
+# Aspect modes understood by the JS front end. Named ratios/buckets are parsed from
+# their "W:H" / "WxH" text; "custom" reads the custom_aspect string instead.
+ASPECT_MODES = [
+    "free",
+    "original",
+    "1:1",
+    "4:3",
+    "3:2",
+    "16:9",
+    "9:16",
+    "SDXL/Flux 1024x1024",
+    "SDXL/Flux 1152x896",
+    "SDXL/Flux 896x1152",
+    "SDXL/Flux 1216x832",
+    "SDXL/Flux 832x1216",
+    "SDXL/Flux 1344x768",
+    "SDXL/Flux 768x1344",
+    "SDXL/Flux 1536x640",
+    "SDXL/Flux 640x1536",
+    "custom",
+]
+DEFAULT_CUSTOM_ASPECT = "4:5"
+
+# How per-frame crops of different sizes are brought to one batch size.
+BATCH_MISMATCH_MODES = ["resize", "pad"]
+
+# Final size of every cropped region (and cropped_mask). fit_letterbox / fill_crop / exact
+# target output_width x output_height, where 0 means the original image's width / height.
+OUTPUT_SIZE_MODES = ["none", "stretch_to_original", "fit_letterbox", "fill_crop", "longest_side", "exact"]
+INTERPOLATIONS = ["nearest", "bilinear", "bicubic", "lanczos", "area"]
+DEFAULT_PAD_COLOR = "#000000"
+
+# allow_expand: how far past each edge a rect may reach, as a fraction of the image size
+# (the front end uses the same margin). The new area is filled with pad_color.
+EXPAND_MARGIN = 0.5
+
+# Client rects: x0, y0, x1, y1 in image pixels plus a rotation in degrees about the rect center.
+Rect = Tuple[int, int, int, int, float]
+
+# Node property the front end writes on Apply, saved with the workflow:
+# {"width", "height", "frames": [[[x0, y0, x1, y1, angle], ...] per frame], "relative": the same in 0..1}.
+LAST_CROP_PROPERTY = "interactive_crop_last"
+# A stored crop is reused on an image of another size when the aspect ratios differ by at most this much.
+SIMILAR_ASPECT_TOLERANCE = 0.01
+
+SUBMIT_ACTIONS = ("continue", "passthrough", "cancel")
+# Most regions per frame accepted in a selection shared between tabs.
+SHARED_REGIONS_MAX = 64
 
 _LOCK = threading.Lock()
+# (prompt_id, node_id) -> {"event", "data": the decision once answered,
+#                          "info": the entry GET /interactive_crop/pending lists}
 _WAITERS: Dict[Tuple[str, str], Dict[str, Any]] = {}
+# (workflow id, node_id, width, height) -> per-frame regions of the last applied crop
+# (for on_timeout="apply_last"). Node ids repeat across workflows, and a crop only fits an image
+# of the size it was drawn on. Least recently used entries go first past LAST_REGIONS_MAX.
+_LAST_REGIONS: Dict[Tuple[str, str, int, int], List[List[Rect]]] = {}
+LAST_REGIONS_MAX = 256
 
 
 def _extract_workflow(extra_pnginfo: Any) -> Any:
@@ -77,28 +148,132 @@ def _is_node_bypassed(node_id: str, *, extra_pnginfo: Any = None, prompt: Any =
     return False
 
 
-def _to_pil(img_tensor: torch.Tensor) -> Image.Image:
+def _last_regions_key(node_id: str, extra_pnginfo: Any, w: int, h: int) -> Tuple[str, str, int, int]:
+    wf = _extract_workflow(extra_pnginfo)
+    workflow_id = str(wf.get("id") or "") if isinstance(wf, dict) else ""
+    return (workflow_id, str(node_id), int(w), int(h))
+
+
+def _remember_regions(key: Tuple[str, str, int, int], regions: List[List[Rect]]) -> None:
+    with _LOCK:
+        _LAST_REGIONS.pop(key, None)
+        _LAST_REGIONS[key] = regions
+        while len(_LAST_REGIONS) > LAST_REGIONS_MAX:
+            del _LAST_REGIONS[next(iter(_LAST_REGIONS))]
+
+
+def _recall_regions(key: Tuple[str, str, int, int]) -> Optional[List[List[Rect]]]:
+    with _LOCK:
+        regions = _LAST_REGIONS.pop(key, None)
+        if regions is not None:
+            _LAST_REGIONS[key] = regions
+        return regions
+
+
+def _stored_regions(node_id: str, extra_pnginfo: Any, w: int, h: int, b: int) -> Optional[List[List[Rect]]]:
+    """The last crop saved in the workflow's node properties, fitted to a batch of b w x h frames.
+
+    Pixel rects are used as they are for the same image size; an image with the same aspect
+    (see SIMILAR_ASPECT_TOLERANCE) gets the relative rects scaled to it. None otherwise.
+    """
+    wf = _extract_workflow(extra_pnginfo)
+    nodes = wf.get("nodes") if isinstance(wf, dict) else None
+    stored = None
+    for n in nodes if isinstance(nodes, list) else []:
+        if isinstance(n, dict) and str(n.get("id")) == str(node_id):
+            props = n.get("properties")
+            stored = props.get(LAST_CROP_PROPERTY) if isinstance(props, dict) else None
+            break
+    if not isinstance(stored, dict):
+        return None
+
+    try:
+        sw, sh = int(stored.get("width", 0)), int(stored.get("height", 0))
+    except (TypeError, ValueError):
+        return None
+    if sw <= 0 or sh <= 0 or w <= 0 or h <= 0:
+        return None
+    if (sw, sh) == (w, h):
+        frames, sx, sy = stored.get("frames"), 1.0, 1.0
+    elif abs((w / h) / (sw / sh) - 1.0) <= SIMILAR_ASPECT_TOLERANCE:
+        frames, sx, sy = stored.get("relative"), float(w), float(h)
+    else:
+        return None
+    if not isinstance(frames, list) or not frames:
+        return None
+
+    regions: List[List[Rect]] = []
+    for frame in frames:
+        rects = []
+        for value in frame if isinstance(frame, list) else []:
+            try:
+                x0, y0, x1, y1 = (float(v) for v in value[:4])
+                angle = float(value[4]) if len(value) > 4 else 0.0
+            except (TypeError, ValueError):
+                continue
+            rect = _parse_rect([round(x0 * sx), round(y0 * sy), round(x1 * sx), round(y1 * sy), angle])
+            if rect:
+                rects.append(rect)
+        regions.append(rects)
+
+    if len(regions) != b:
+        regions = [regions[0]] * b
+    return regions if any(regions) else None
+
+
+def _to_pil(img_tensor: torch.Tensor, index: int = 0) -> Image.Image:
     if img_tensor.dim() != 4:
         raise ValueError(f"Expected IMAGE tensor [B,H,W,C], got {tuple(img_tensor.shape)}")
 
-    t = img_tensor[0].detach().cpu()
+    t = img_tensor[index].detach().cpu()
     t = torch.clamp(t, 0.0, 1.0)
     arr = (t.numpy() * 255.0).astype(np.uint8)
     return Image.fromarray(arr)
 
 
-def _save_temp_preview(pil_img: Image.Image, prefix: str) -> Dict[str, str]:
+def _save_temp_preview(pil_img: Image.Image, prefix: str, max_side: int = PREVIEW_MAX_SIDE) -> Dict[str, str]:
+    """Write a WebP preview, downscaled to max_side, into ComfyUI's temp directory."""
     temp_dir = folder_paths.get_temp_directory()
     os.makedirs(temp_dir, exist_ok=True)
 
-    filename = f"{prefix}_{uuid.uuid4().hex}.png"
+    pil_img = _limit_size(pil_img, max_side)
+    filename = f"{prefix}_{uuid.uuid4().hex}.webp"
     fullpath = os.path.join(temp_dir, filename)
-    pil_img.save(fullpath, format="PNG")
+    pil_img.save(fullpath, format="WEBP", quality=PREVIEW_QUALITY)
+
+    return {"filename": filename, "subfolder": "", "type": "temp", "width": pil_img.width, "height": pil_img.height}
+
+
+def _limit_size(pil_img: Image.Image, max_side: int) -> Image.Image:
+    longest = max(pil_img.width, pil_img.height)
+    if longest <= max_side:
+        return pil_img
+    k = max_side / longest
+    size = (max(1, round(pil_img.width * k)), max(1, round(pil_img.height * k)))
+    return pil_img.resize(size, Image.LANCZOS)
+
+
+def _remove_temp_previews(infos: List[Dict[str, str]]) -> None:
+    """Delete previews once their session is over (the browser has them loaded by then)."""
+    temp_dir = folder_paths.get_temp_directory()
+    for info in infos:
+        try:
+            os.remove(os.path.join(temp_dir, info["subfolder"], info["filename"]))
+        except OSError:
+            pass
 
-    return {"filename": filename, "subfolder": "", "type": "temp"}
 
+def _view_url(info: Dict[str, str]) -> str:
+    """Relative URL of a saved preview (same as the front end's previewUrl)."""
+    qs = urllib.parse.urlencode(
+        {"filename": info["filename"], "type": info["type"], "subfolder": info.get("subfolder", "")}
+    )
+    return f"/view?{qs}"
 
-def _resize_image_tensor_to_hw(img_bhwc: torch.Tensor, out_h: int, out_w: int) -> torch.Tensor:
+
+def _resize_image_tensor_to_hw(
+    img_bhwc: torch.Tensor, out_h: int, out_w: int, interpolation: str = "bilinear"
+) -> torch.Tensor:
     if img_bhwc.dim() != 4:
         raise ValueError("Expected [B,H,W,C]")
 
@@ -107,11 +282,542 @@ def _resize_image_tensor_to_hw(img_bhwc: torch.Tensor, out_h: int, out_w: int) -
         return img_bhwc
 
     x = img_bhwc.permute(0, 3, 1, 2)  # [B,C,H,W]
-    x = torch.nn.functional.interpolate(x, size=(out_h, out_w), mode="bilinear", align_corners=False)
+    if interpolation == "bilinear":
+        x = torch.nn.functional.interpolate(x, size=(out_h, out_w), mode="bilinear", align_corners=False)
+    else:
+        method = "nearest-exact" if interpolation == "nearest" else interpolation
+        # Lanczos goes through PIL, which only takes RGB(A); masks fall back to bicubic.
+        if method == "lanczos" and c not in (3, 4):
+            method = "bicubic"
+        x = comfy.utils.common_upscale(x, out_w, out_h, method, "disabled")
+        if method in ("bicubic", "lanczos"):
+            x = torch.clamp(x, 0.0, 1.0)  # both overshoot at hard edges
     x = x.permute(0, 2, 3, 1).contiguous()
     return x
 
 
+def _fill_color(fill: Tuple[float, ...], c: int, like: torch.Tensor) -> torch.Tensor:
+    """[C] color tensor from a fill tuple; extra channels (alpha) are opaque."""
+    values = list(fill)[:c] + [1.0] * max(0, c - len(fill))
+    return torch.tensor(values, dtype=like.dtype, device=like.device)
+
+
+def _pad_image_tensor_to_hw(
+    img_bhwc: torch.Tensor, out_h: int, out_w: int, fill: Optional[Tuple[float, ...]] = None
+) -> torch.Tensor:
+    """Center the image on a canvas of out_h x out_w, zero (black) unless `fill` gives a color."""
+    if img_bhwc.dim() != 4:
+        raise ValueError("Expected [B,H,W,C]")
+
+    b, h, w, c = img_bhwc.shape
+    if h == out_h and w == out_w:
+        return img_bhwc
+
+    out = torch.zeros((b, out_h, out_w, c), dtype=img_bhwc.dtype, device=img_bhwc.device)
+    if fill:
+        out[...] = _fill_color(fill, c, img_bhwc)
+    top = (out_h - h) // 2
+    left = (out_w - w) // 2
+    out[:, top : top + h, left : left + w, :] = img_bhwc
+    return out
+
+
+def _parse_pad_color(text: Any) -> Tuple[float, float, float]:
+    """Hex color text ("#rgb" or "#rrggbb", the # optional) as 0..1 floats; black when unreadable."""
+    s = str(text or "").strip().lstrip("#")
+    if len(s) == 3:
+        s = "".join(ch * 2 for ch in s)
+    try:
+        if len(s) != 6:
+            raise ValueError(s)
+        return tuple(int(s[i : i + 2], 16) / 255.0 for i in (0, 2, 4))
+    except ValueError:
+        return (0.0, 0.0, 0.0)
+
+
+def _size_output(
+    img_bhwc: torch.Tensor, sizing: Dict[str, Any], orig_h: int, orig_w: int, fill: Tuple[float, ...]
+) -> Tuple[torch.Tensor, Optional[List[float]]]:
+    """Apply the output sizing mode to a cropped batch.
+
+    Also returns where the whole crop sits in the output frame, as fractions of the frame
+    ([x0, y0, x1, y1]), for the framing modes: inside [0, 1] for fit_letterbox, beyond it for
+    fill_crop. Interactive Uncrop uses it to undo the framing before pasting back.
+    """
+    mode = sizing.get("mode", "none")
+    interpolation = sizing.get("interpolation", "bilinear")
+    b, h, w, c = img_bhwc.shape
+    target_w = int(sizing.get("width") or 0) or orig_w
+    target_h = int(sizing.get("height") or 0) or orig_h
+
+    if mode == "stretch_to_original":
+        return _resize_image_tensor_to_hw(img_bhwc, orig_h, orig_w, interpolation), None
+    if mode == "exact":
+        return _resize_image_tensor_to_hw(img_bhwc, target_h, target_w, interpolation), None
+    if mode == "longest_side":
+        scale = max(1, int(sizing.get("longest_side") or 1)) / max(h, w)
+        out_h, out_w = max(1, round(h * scale)), max(1, round(w * scale))
+        return _resize_image_tensor_to_hw(img_bhwc, out_h, out_w, interpolation), None
+    if mode == "fit_letterbox":
+        scale = min(target_w / w, target_h / h)
+        fit_h, fit_w = max(1, round(h * scale)), max(1, round(w * scale))
+        out = _resize_image_tensor_to_hw(img_bhwc, fit_h, fit_w, interpolation)
+        out = _pad_image_tensor_to_hw(out, target_h, target_w, fill)
+        left, top = (target_w - fit_w) // 2, (target_h - fit_h) // 2
+        return out, [left / target_w, top / target_h, (left + fit_w) / target_w, (top + fit_h) / target_h]
+    if mode == "fill_crop":
+        scale = max(target_w / w, target_h / h)
+        fill_h, fill_w = max(target_h, round(h * scale)), max(target_w, round(w * scale))
+        out = _resize_image_tensor_to_hw(img_bhwc, fill_h, fill_w, interpolation)
+        left, top = (fill_w - target_w) // 2, (fill_h - target_h) // 2
+        out = out[:, top : top + target_h, left : left + target_w, :].contiguous()
+        return out, [-left / target_w, -top / target_h, (fill_w - left) / target_w, (fill_h - top) / target_h]
+    return img_bhwc, None
+
+
+def _strip_output_framing(
+    crop: torch.Tensor, boxes: List[List[int]], content: List[float]
+) -> Tuple[torch.Tensor, List[List[int]]]:
+    """Undo fit_letterbox / fill_crop: cut the letterbox bands off the crop and shrink the
+    boxes to the part of them a fill crop kept. Both framings are centered, so rotated boxes
+    keep their centers."""
+    fx0, fy0, fx1, fy1 = content
+    if fx1 <= fx0 or fy1 <= fy0:
+        return crop, boxes
+
+    b, h, w, c = crop.shape
+    vx0, vy0, vx1, vy1 = max(fx0, 0.0), max(fy0, 0.0), min(fx1, 1.0), min(fy1, 1.0)
+    cx0, cy0 = round(vx0 * w), round(vy0 * h)
+    crop = crop[:, cy0 : max(cy0 + 1, round(vy1 * h)), cx0 : max(cx0 + 1, round(vx1 * w)), :]
+
+    # The visible part as fractions of the box.
+    bx0, bx1 = (vx0 - fx0) / (fx1 - fx0), (vx1 - fx0) / (fx1 - fx0)
+    by0, by1 = (vy0 - fy0) / (fy1 - fy0), (vy1 - fy0) / (fy1 - fy0)
+    boxes = [
+        [
+            round(x0 + bx0 * (x1 - x0)),
+            round(y0 + by0 * (y1 - y0)),
+            round(x0 + bx1 * (x1 - x0)),
+            round(y0 + by1 * (y1 - y0)),
+        ]
+        for x0, y0, x1, y1 in boxes
+    ]
+    return crop, boxes
+
+
+def _clamp_rect(rect: Rect, w: int, h: int, expand: bool = False) -> Optional[Rect]:
+    """Sort and clamp a rect to the image; None when nothing valid is left.
+
+    Rotated rects keep their corners, which may legitimately leave the image (those
+    pixels come out black); only their center is kept inside and their sides are capped
+    at the diagonal. With `expand` the limit is the image plus EXPAND_MARGIN on every side.
+    """
+    x0, y0, x1, y1, angle = rect
+    x0, x1 = sorted([x0, x1])
+    y0, y1 = sorted([y0, y1])
+    mx, my = (int(w * EXPAND_MARGIN), int(h * EXPAND_MARGIN)) if expand else (0, 0)
+
+    if angle:
+        if x1 <= x0 or y1 <= y0:
+            return None
+        side = math.ceil(math.hypot(w + 2 * mx, h + 2 * my))
+        bw, bh = min(x1 - x0, side), min(y1 - y0, side)
+        cx = max(-mx, min(w + mx, (x0 + x1) // 2))
+        cy = max(-my, min(h + my, (y0 + y1) // 2))
+        x0, y0 = cx - bw // 2, cy - bh // 2
+        return (x0, y0, x0 + bw, y0 + bh, angle)
+
+    x0 = max(-mx, min(w + mx - 1, x0))
+    x1 = max(-mx, min(w + mx, x1))
+    y0 = max(-my, min(h + my - 1, y0))
+    y1 = max(-my, min(h + my, y1))
+
+    if x1 <= x0 or y1 <= y0:
+        return None
+    return (x0, y0, x1, y1, 0.0)
+
+
+def _snap_rect(rect: Rect, multiple: int, w: int, h: int, expand: bool = False) -> Optional[Rect]:
+    """Clamp, then shrink width/height down to a multiple (kept from x0/y0). Backstop for the front end's snapping."""
+    clamped = _clamp_rect(rect, w, h, expand)
+    if clamped is None or multiple <= 1:
+        return clamped
+    x0, y0, x1, y1, angle = clamped
+    bw = (x1 - x0) // multiple * multiple or (x1 - x0)
+    bh = (y1 - y0) // multiple * multiple or (y1 - y0)
+    return (x0, y0, x0 + bw, y0 + bh, angle)
+
+
+def _parse_rect(value: Any) -> Optional[Rect]:
+    """Accept {"x0","y0","x1","y1"[,"angle"]} dicts or [x0, y0, x1, y1[, angle]] lists from the client."""
+    try:
+        if isinstance(value, dict):
+            x0, y0, x1, y1 = (int(float(value.get(k, 0))) for k in ("x0", "y0", "x1", "y1"))
+            return (x0, y0, x1, y1, float(value.get("angle", 0) or 0))
+        if isinstance(value, (list, tuple)) and len(value) >= 4:
+            x0, y0, x1, y1 = (int(float(v)) for v in value[:4])
+            return (x0, y0, x1, y1, float(value[4]) if len(value) > 4 else 0.0)
+    except Exception:
+        return None
+    return None
+
+
+def _clean_selection(selection: Any, batch_size: int) -> Optional[Dict[str, Any]]:
+    """A shared selection rebuilt from its numeric fields; None unless it has one region list per frame.
+
+    Regions are the front end's {"x", "y", "w", "h"[, "angle"]} in image pixels.
+    """
+    if not isinstance(selection, dict):
+        return None
+    frames = selection.get("frames")
+    if not isinstance(frames, list) or len(frames) != batch_size:
+        return None
+
+    def number(v: Any) -> bool:
+        return isinstance(v, (int, float)) and not isinstance(v, bool) and math.isfinite(v)
+
+    out = []
+    for regions in frames:
+        if not isinstance(regions, list) or len(regions) > SHARED_REGIONS_MAX:
+            return None
+        clean = []
+        for r in regions:
+            if not isinstance(r, dict) or not all(number(r.get(k)) for k in ("x", "y", "w", "h")):
+                return None
+            rect = {k: r[k] for k in ("x", "y", "w", "h")}
+            if "angle" in r:
+                if not number(r["angle"]):
+                    return None
+                rect["angle"] = r["angle"]
+            clean.append(rect)
+        out.append(clean)
+    return {"frames": out, "sameForAll": bool(selection.get("sameForAll"))}
+
+
+def _rotated_grid(rect: Rect, w: int, h: int) -> torch.Tensor:
+    """grid_sample grid [1,bh,bw,2] mapping each pixel of the upright crop to the source."""
+    x0, y0, x1, y1, angle = rect
+    bw, bh = x1 - x0, y1 - y0
+    cx, cy = (x0 + x1) / 2.0, (y0 + y1) / 2.0
+    a = math.radians(angle)
+
+    us = torch.arange(bw, dtype=torch.float32) + 0.5 - bw / 2.0
+    vs = torch.arange(bh, dtype=torch.float32) + 0.5 - bh / 2.0
+    v, u = torch.meshgrid(vs, us, indexing="ij")
+    sx = cx + u * math.cos(a) - v * math.sin(a)
+    sy = cy + u * math.sin(a) + v * math.cos(a)
+    return torch.stack([sx / w * 2.0 - 1.0, sy / h * 2.0 - 1.0], dim=-1).unsqueeze(0)
+
+
+def _crop_rotated(frame_bhwc: torch.Tensor, rect: Rect) -> torch.Tensor:
+    """Upright crop of a rotated rect from a single frame [1,H,W,C]."""
+    _, h, w, _ = frame_bhwc.shape
+    grid = _rotated_grid(rect, w, h).to(frame_bhwc.device, frame_bhwc.dtype)
+    x = frame_bhwc.permute(0, 3, 1, 2)
+    x = torch.nn.functional.grid_sample(x, grid, mode="bilinear", padding_mode="zeros", align_corners=False)
+    return x.permute(0, 2, 3, 1).contiguous()
+
+
+def _rect_local_coords(rect: Rect, xs: torch.Tensor, ys: torch.Tensor) -> Tuple[torch.Tensor, torch.Tensor]:
+    """Pixel-center coords -> (u, v) in the rect's own (unrotated) frame, relative to its center."""
+    x0, y0, x1, y1, angle = rect
+    cx, cy = (x0 + x1) / 2.0, (y0 + y1) / 2.0
+    a = math.radians(angle)
+    yy, xx = torch.meshgrid(ys + 0.5, xs + 0.5, indexing="ij")
+    dx, dy = xx - cx, yy - cy
+    return (dx * math.cos(a) + dy * math.sin(a), -dx * math.sin(a) + dy * math.cos(a))
+
+
+def _crop_one(frame: torch.Tensor, rect: Rect, fill: Optional[Tuple[float, ...]] = None) -> torch.Tensor:
+    """Crop a [1,H,W,C] frame with a clamped rect. Pixels outside the image are zero, or
+    `fill` when given."""
+    _, h, w, c = frame.shape
+    x0, y0, x1, y1, angle = rect
+    if angle:
+        out = _crop_rotated(frame, rect)
+    elif x0 >= 0 and y0 >= 0 and x1 <= w and y1 <= h:
+        return frame[:, y0:y1, x0:x1, :]
+    else:
+        # Expanded rect: copy the part that overlaps the image onto an empty canvas.
+        out = torch.zeros((1, y1 - y0, x1 - x0, c), dtype=frame.dtype, device=frame.device)
+        ix0, iy0, ix1, iy1 = max(x0, 0), max(y0, 0), min(x1, w), min(y1, h)
+        if ix1 > ix0 and iy1 > iy0:
+            out[:, iy0 - y0 : iy1 - y0, ix0 - x0 : ix1 - x0, :] = frame[:, iy0:iy1, ix0:ix1, :]
+
+    if fill:
+        coverage = _crop_one(torch.ones_like(frame[..., :1]), rect)
+        out = out * coverage + _fill_color(fill, c, out) * (1.0 - coverage)
+    return out
+
+
+def _crop_frames(
+    image: torch.Tensor,
+    rects: List[Optional[Rect]],
+    mismatch: str,
+    expand: bool = False,
+    fill: Optional[Tuple[float, ...]] = None,
+) -> Tuple[torch.Tensor, bool]:
+    """Crop each frame with its own rect (None keeps the full frame) and re-batch.
+
+    With `expand` rects may reach past the image (see _clamp_rect); that area is zero, or `fill`.
+    """
+    b, h, w, c = image.shape
+
+    crops = []
+    did_crop = False
+    for i in range(b):
+        rect = rects[i] if i < len(rects) else None
+        clamped = _clamp_rect(rect, w, h, expand) if rect else None
+        if clamped is None:
+            crops.append(image[i : i + 1])
+            continue
+        crops.append(_crop_one(image[i : i + 1], clamped, fill))
+        did_crop = True
+
+    if not did_crop:
+        return (image, False)
+
+    sizes = {(t.shape[1], t.shape[2]) for t in crops}
+    if len(sizes) > 1:
+        if mismatch == "pad":
+            out_h = max(sz[0] for sz in sizes)
+            out_w = max(sz[1] for sz in sizes)
+            crops = [_pad_image_tensor_to_hw(t, out_h, out_w) for t in crops]
+        else:
+            # Resize everything to the first frame's crop size.
+            out_h, out_w = crops[0].shape[1], crops[0].shape[2]
+            crops = [_resize_image_tensor_to_hw(t, out_h, out_w) for t in crops]
+
+    return (torch.cat(crops, dim=0).contiguous(), True)
+
+
+def _prepare_mask(mask: Optional[torch.Tensor], b: int, h: int, w: int) -> Optional[torch.Tensor]:
+    """Bring an optional MASK ([H,W] or [B,H,W]) to the image's batch and size."""
+    if mask is None:
+        return None
+    if mask.dim() == 2:
+        mask = mask.unsqueeze(0)
+    if mask.shape[1] != h or mask.shape[2] != w:
+        mask = _resize_image_tensor_to_hw(mask.unsqueeze(-1), h, w).squeeze(-1)
+    if mask.shape[0] != b:
+        mask = mask[:1].expand(b, h, w)
+    return mask
+
+
+def _selection_mask(b: int, h: int, w: int, rects: List[Optional[Rect]], expand: bool = False) -> torch.Tensor:
+    """[B,H,W] mask with 1.0 inside each frame's rect (the whole frame when it has none)."""
+    out = torch.zeros((b, h, w), dtype=torch.float32)
+    for i in range(b):
+        rect = rects[i] if i < len(rects) else None
+        clamped = _clamp_rect(rect, w, h, expand) if rect else None
+        if clamped is None:
+            out[i] = 1.0
+            continue
+        x0, y0, x1, y1, angle = clamped
+        if angle:
+            u, v = _rect_local_coords(clamped, torch.arange(w, dtype=torch.float32), torch.arange(h, dtype=torch.float32))
+            out[i] = ((u.abs() <= (x1 - x0) / 2.0) & (v.abs() <= (y1 - y0) / 2.0)).float()
+        else:
+            out[i, max(0, y0) : max(0, y1), max(0, x0) : max(0, x1)] = 1.0
+    return out
+
+
+def _crop_box(
+    rects: List[Optional[Rect]], w: int, h: int, content: Optional[List[float]] = None, expand: bool = False
+) -> Dict[str, Any]:
+    """CROP_BOX value for Interactive Uncrop: per-frame boxes/angles plus the source size
+    (and, for letterboxed / fill-cropped output, where the crop sits in the output frame)."""
+    boxes = []
+    angles = []
+    for rect in rects:
+        clamped = _clamp_rect(rect, w, h, expand) if rect else None
+        boxes.append(list(clamped[:4]) if clamped else [0, 0, w, h])
+        angles.append(float(clamped[4]) if clamped else 0.0)
+    x0, y0, x1, y1 = boxes[0] if boxes else [0, 0, w, h]
+    box = {
+        "x": x0,
+        "y": y0,
+        "width": x1 - x0,
+        "height": y1 - y0,
+        "source_width": w,
+        "source_height": h,
+        "boxes": boxes,
+        "angles": angles,
+    }
+    if content:
+        box["content"] = content
+    return box
+
+
+def _feather_alpha(h: int, w: int, feather: int) -> torch.Tensor:
+    """[H,W] alpha ramping from 0 at the edge to 1 at `feather` px inside."""
+    if feather <= 0:
+        return torch.ones((h, w), dtype=torch.float32)
+    xs = torch.arange(w, dtype=torch.float32)
+    ys = torch.arange(h, dtype=torch.float32)
+    dist_x = torch.minimum(xs, (w - 1) - xs)
+    dist_y = torch.minimum(ys, (h - 1) - ys)
+    dist = torch.minimum(dist_x.unsqueeze(0), dist_y.unsqueeze(1))
+    return torch.clamp((dist + 1.0) / float(feather), 0.0, 1.0)
+
+
+def _paste_rotated(out: torch.Tensor, i: int, piece: torch.Tensor, rect: Rect, feather: int) -> None:
+    """Composite an upright crop [1,ph,pw,C] back into a rotated box of frame i (in place)."""
+    _, h, w, c = out.shape
+    x0, y0, x1, y1, angle = rect
+    bw, bh = x1 - x0, y1 - y0
+    cx, cy = (x0 + x1) / 2.0, (y0 + y1) / 2.0
+
+    # Axis-aligned bounds of the rotated box, limited to the image.
+    a = math.radians(angle)
+    ex = (abs(bw * math.cos(a)) + abs(bh * math.sin(a))) / 2.0
+    ey = (abs(bw * math.sin(a)) + abs(bh * math.cos(a))) / 2.0
+    gx0, gx1 = max(0, int(math.floor(cx - ex))), min(w, int(math.ceil(cx + ex)))
+    gy0, gy1 = max(0, int(math.floor(cy - ey))), min(h, int(math.ceil(cy + ey)))
+    if gx1 <= gx0 or gy1 <= gy0:
+        return
+
+    xs = torch.arange(gx0, gx1, dtype=torch.float32)
+    ys = torch.arange(gy0, gy1, dtype=torch.float32)
+    u, v = _rect_local_coords(rect, xs, ys)
+
+    grid = torch.stack([u / (bw / 2.0), v / (bh / 2.0)], dim=-1).unsqueeze(0).to(out.device, out.dtype)
+    src = torch.nn.functional.grid_sample(
+        piece.permute(0, 3, 1, 2).to(out.device, out.dtype), grid, mode="bilinear", align_corners=False
+    )
+    src = src.permute(0, 2, 3, 1)[0]
+
+    dist = torch.minimum(bw / 2.0 - u.abs(), bh / 2.0 - v.abs())
+    if feather > 0:
+        alpha = torch.clamp(dist / float(feather), 0.0, 1.0)
+    else:
+        alpha = (dist >= 0).float()
+    alpha = alpha.to(out.device, out.dtype).unsqueeze(-1)
+
+    dst = out[i, gy0:gy1, gx0:gx1, :]
+    out[i, gy0:gy1, gx0:gx1, :] = src * alpha + dst * (1.0 - alpha)
+
+
+def _paste_frames(
+    original: torch.Tensor,
+    crop: torch.Tensor,
+    boxes: List[List[int]],
+    dx: int,
+    dy: int,
+    feather: int,
+    angles: Optional[List[float]] = None,
+) -> torch.Tensor:
+    """Composite each crop frame back into its box (resized to fit), shifted by dx/dy."""
+    b, h, w, c = original.shape
+    out = original.clone()
+
+    for i in range(b):
+        x0, y0, x1, y1 = boxes[i] if i < len(boxes) else boxes[-1]
+        x0, x1 = x0 + dx, x1 + dx
+        y0, y1 = y0 + dy, y1 + dy
+        bw, bh = x1 - x0, y1 - y0
+        if bw <= 0 or bh <= 0:
+            continue
+
+        piece = crop[min(i, crop.shape[0] - 1) : min(i, crop.shape[0] - 1) + 1, :, :, :c]
+        angle = float(angles[min(i, len(angles) - 1)]) if angles else 0.0
+        if angle:
+            _paste_rotated(out, i, piece, (x0, y0, x1, y1, angle), feather)
+            continue
+
+        piece = _resize_image_tensor_to_hw(piece, bh, bw)[0].to(out.device, out.dtype)
+        alpha = _feather_alpha(bh, bw, feather).to(out.device, out.dtype).unsqueeze(-1)
+
+        # Only the part of the box that lands inside the image is composited.
+        cx0, cy0 = max(0, x0), max(0, y0)
+        cx1, cy1 = min(w, x1), min(h, y1)
+        if cx1 <= cx0 or cy1 <= cy0:
+            continue
+        px0, py0 = cx0 - x0, cy0 - y0
+        px1, py1 = px0 + (cx1 - cx0), py0 + (cy1 - cy0)
+
+        src = piece[py0:py1, px0:px1, :]
+        a = alpha[py0:py1, px0:px1, :]
+        dst = out[i, cy0:cy1, cx0:cx1, :]
+        out[i, cy0:cy1, cx0:cx1, :] = src * a + dst * (1.0 - a)
+
+    return out
+
+
+def _build_outputs(
+    image: torch.Tensor,
+    mask: Optional[torch.Tensor],
+    regions: Optional[List[List[Rect]]],
+    sizing: Dict[str, Any],
+    batch_mismatch: str,
+    expand: bool = False,
+) -> Tuple[Any, ...]:
+    """Node outputs for per-frame region lists; None (or nothing valid) means passthrough.
+
+    `sizing` (see OUTPUT_SIZE_MODES) applies to the crops only; a passthrough keeps the original.
+    With `expand` rects may reach past the image; that area is filled with the pad color.
+    """
+    b, h, w, c = image.shape
+    pad_color = _parse_pad_color(sizing.get("pad_color"))
+    mask = _prepare_mask(mask, b, h, w)
+
+    def passthrough():
+        full_mask = mask if mask is not None else torch.ones((b, h, w), dtype=torch.float32)
+        full_box = _crop_box([None] * b, w, h)
+        ones = torch.ones((b, h, w), dtype=torch.float32)
+        return (image, False, [image], 0, 0, 0, w, h, ones, full_mask, full_box, torch.zeros_like(ones))
+
+    if not regions:
+        return passthrough()
+
+    region_count = max(len(r) for r in regions)
+    region_batches = []
+    content = None
+    for k in range(region_count):
+        rects_k = [r[k] if k < len(r) else None for r in regions]
+        cropped_k, did_crop_k = _crop_frames(image, rects_k, batch_mismatch, expand, pad_color if expand else None)
+        if not did_crop_k:
+            continue
+        cropped_k, content_k = _size_output(cropped_k, sizing, h, w, pad_color)
+        if not region_batches:
+            content = content_k
+        region_batches.append(cropped_k)
+
+    if not region_batches:
+        return passthrough()
+
+    # Box / masks follow region 1, the one on the main `image` output.
+    primary = [r[0] if r else None for r in regions]
+    box = next((c for c in (_clamp_rect(r, w, h, expand) for r in primary if r) if c), (0, 0, w, h, 0.0))
+    bx0, by0, bx1, by1, _ = box
+
+    selection = _selection_mask(b, h, w, primary, expand)
+    source_mask = mask if mask is not None else torch.ones((b, h, w), dtype=torch.float32)
+    cropped_mask, _ = _crop_frames(source_mask.unsqueeze(-1), primary, batch_mismatch, expand)
+    cropped_mask, _ = _size_output(cropped_mask, sizing, h, w, (0.0,))
+    cropped_mask = cropped_mask.squeeze(-1)
+
+    # 1 wherever the output has no source pixels: the expanded area, rotated corners, letterbox bands.
+    coverage, _ = _crop_frames(torch.ones((b, h, w, 1), dtype=torch.float32), primary, batch_mismatch, expand)
+    coverage, _ = _size_output(coverage, sizing, h, w, (0.0,))
+    outpaint_mask = 1.0 - coverage.squeeze(-1)
+
+    return (
+        region_batches[0],
+        True,
+        region_batches,
+        len(region_batches),
+        bx0,
+        by0,
+        bx1 - bx0,
+        by1 - by0,
+        selection,
+        cropped_mask,
+        _crop_box(primary, w, h, content, expand),
+        outpaint_mask,
+    )
+
+
 routes = PromptServer.instance.routes
 
 
@@ -125,13 +831,162 @@ def _processing_interrupted() -> bool:
             return False
     return False
 
+def _wait_for_decision(
+    key: Tuple[str, str], evt: threading.Event, label: str, timeout: float = TIMEOUT_SECONDS
+) -> Optional[Dict[str, Any]]:
+    """Block until the front end answers; None on timeout (0 = wait forever). Raises if the run is interrupted."""
+    deadline = time.time() + float(timeout) if timeout > 0 else math.inf
+    ok = False
+    while time.time() < deadline:
+        if evt.wait(timeout=0.25):
+            ok = True
+            break
+        if _processing_interrupted():
+            with _LOCK:
+                _WAITERS.pop(key, None)
+            raise comfy.model_management.InterruptProcessingException(
+                f"{label}: job cancelled while waiting for user input."
+            )
+
+    with _LOCK:
+        payload = _WAITERS.get(key, {}).get("data")
+        _WAITERS.pop(key, None)
+
+    return payload if ok else None
+
+
+def _publish_pending(key: Tuple[str, str], kind: str, request: Dict[str, Any]) -> None:
+    """Describe a waiter for GET /interactive_crop/pending, from the websocket request the front end gets.
+
+    The request itself is kept too, so a reloaded tab can rebuild the session from it.
+    """
+    entry = {k: v for k, v in request.items() if k not in ("node", "image", "images", "overlay")}
+    entry.update(kind=kind, node_id=request["node"], preview=_view_url(request["image"]), created=time.time())
+    entry["request"] = request
+    if "images" in request:
+        entry["previews"] = [_view_url(info) for info in request["images"]]
+    if "overlay" in request:
+        entry["overlay"] = _view_url(request["overlay"])
+
+    with _LOCK:
+        waiter = _WAITERS.get(key)
+        if waiter is not None:
+            waiter["info"] = entry
+
+
+def _json_value(raw: Any) -> Any:
+    # Form fields carry JSON as text; a JSON body can hold the value itself.
+    if isinstance(raw, str):
+        try:
+            return json.loads(raw)
+        except Exception:
+            return None
+    return raw
+
+
+@routes.get("/interactive_crop/pending")
+async def interactive_crop_pending(request):
+    """Every Interactive Crop / Uncrop pause still waiting for a decision, oldest first."""
+    with _LOCK:
+        pending = [dict(w["info"]) for w in _WAITERS.values() if w.get("info") and w.get("data") is None]
+    pending.sort(key=lambda entry: entry["created"])
+    # `now` lets clients turn the deadlines into time left without trusting their own clock.
+    return web.json_response({"pending": pending, "now": time.time()})
+
+
+@routes.get("/interactive_crop/tile")
+async def interactive_crop_tile(request):
+    """A full-resolution WebP of x0, y0, x1, y1 (original pixels) of one frame of a waiting crop."""
+    q = request.query
+    key = (str(q.get("prompt_id", "")), str(q.get("node_id", "")))
+    with _LOCK:
+        waiter = _WAITERS.get(key)
+        image = waiter.get("image") if waiter is not None and waiter["data"] is None else None
+    if image is None:
+        return web.json_response({"ok": False, "error": "No active crop for this prompt/node."}, status=404)
+
+    try:
+        frame = int(q.get("frame", 0))
+        x0, y0, x1, y1 = (int(float(q[k])) for k in ("x0", "y0", "x1", "y1"))
+    except (KeyError, ValueError, OverflowError):
+        return web.json_response({"ok": False, "error": "Expected frame, x0, y0, x1, y1."}, status=400)
+
+    b, h, w = image.shape[0], image.shape[1], image.shape[2]
+    frame = min(max(frame, 0), b - 1)
+    x0, x1 = min(max(x0, 0), w), min(max(x1, 0), w)
+    y0, y1 = min(max(y0, 0), h), min(max(y1, 0), h)
+    if x1 - x0 < 1 or y1 - y0 < 1:
+        return web.json_response({"ok": False, "error": "Empty tile."}, status=400)
+
+    def encode() -> bytes:
+        tile = _limit_size(_to_pil(image[frame : frame + 1, y0:y1, x0:x1]), TILE_MAX_SIDE)
+        buf = io.BytesIO()
+        tile.save(buf, format="WEBP", quality=PREVIEW_QUALITY)
+        return buf.getvalue()
+
+    # Off the event loop: a large tile would otherwise stall every request and the websocket.
+    body = await asyncio.get_running_loop().run_in_executor(None, encode)
+    return web.Response(body=body, content_type="image/webp")
+
+
+@routes.post("/interactive_crop/selection")
+async def interactive_crop_selection(request):
+    """Share a client's current (undecided) selection with every other open tab.
+
+    JSON body: prompt_id, node_id, client_id and selection ({"frames": per-frame region lists, "sameForAll"}).
+    The latest one is also listed on the pending entry, so tabs that open later start from it.
+    """
+    try:
+        body = await request.json()
+    except Exception:
+        body = None
+    if not isinstance(body, dict) or not isinstance(body.get("selection"), dict):
+        return web.json_response({"ok": False, "error": "Expected a JSON object with a selection."}, status=400)
+
+    prompt_id = str(body.get("prompt_id", "")).strip()
+    node_id = str(body.get("node_id", "")).strip()
+    key = (prompt_id, node_id)
+
+    with _LOCK:
+        waiter = _WAITERS.get(key)
+        if waiter is None or waiter["data"] is not None or not waiter.get("info"):
+            return web.json_response({"ok": False, "error": "No active waiter for this prompt/node."})
+        selection = _clean_selection(body["selection"], int(waiter["info"].get("batch_size", 1)))
+        if selection is None:
+            return web.json_response(
+                {"ok": False, "error": f"Selection must list up to {SHARED_REGIONS_MAX} numeric regions per frame."},
+                status=400,
+            )
+        waiter["info"]["selection"] = selection
+
+    PromptServer.instance.send_sync(
+        "interactive.crop.selection",
+        {"prompt_id": prompt_id, "node": node_id, "client_id": str(body.get("client_id", "")), "selection": selection},
+    )
+    return web.json_response({"ok": True})
+
+
 @routes.post("/interactive_crop/submit")
 async def interactive_crop_submit(request):
-    form = await request.post()
+    # The browser posts form data; scripts may post the same fields as a JSON object,
+    # with `rects` / `regions` as lists and optionally `rect` as {x0, y0, x1, y1[, angle]}.
+    if request.content_type == "application/json":
+        try:
+            form = await request.json()
+        except Exception:
+            form = None
+        if not isinstance(form, dict):
+            return web.json_response({"ok": False, "error": "Expected a JSON object."}, status=400)
+    else:
+        form = await request.post()
 
     prompt_id = str(form.get("prompt_id", "")).strip()
     node_id = str(form.get("node_id", "")).strip()
     action = str(form.get("action", "")).strip()  # "continue" | "cancel" | "passthrough"
+    if action not in SUBMIT_ACTIONS:
+        return web.json_response(
+            {"ok": False, "error": f"Unknown action {action!r}; use one of {', '.join(SUBMIT_ACTIONS)}."}, status=400
+        )
 
     def _as_int(name: str, default: int = 0) -> int:
         try:
@@ -144,16 +999,61 @@ async def interactive_crop_submit(request):
     x1 = _as_int("x1", 0)
     y1 = _as_int("y1", 0)
 
+    try:
+        angle = float(form.get("angle", 0) or 0)
+    except Exception:
+        angle = 0.0
+
+    rect = _parse_rect(form.get("rect")) if isinstance(form.get("rect"), (dict, list)) else None
+    if rect:
+        x0, y0, x1, y1, angle = rect
+
+    # Paste-back placement nudge (Interactive Uncrop).
+    dx = _as_int("dx", 0)
+    dy = _as_int("dy", 0)
+
+    # Optional per-frame rects for batches: JSON list with one entry (or null) per frame.
+    rects = None
+    parsed = _json_value(form.get("rects"))
+    if isinstance(parsed, list):
+        rects = [_parse_rect(r) if r is not None else None for r in parsed]
+
+    # Optional multiple regions: JSON list (per frame) of lists of rects.
+    regions = None
+    parsed = _json_value(form.get("regions"))
+    if isinstance(parsed, list):
+        regions = [
+            [r for r in (_parse_rect(v) for v in frame) if r is not None] if isinstance(frame, list) else []
+            for frame in parsed
+        ]
+
     key = (prompt_id, node_id)
 
     with _LOCK:
         waiter = _WAITERS.get(key)
         if waiter is None:
             return web.json_response({"ok": False, "error": "No active waiter for this prompt/node."})
-
-        waiter["data"] = {"action": action, "x0": x0, "y0": y0, "x1": x1, "y1": y1}
+        if waiter["data"] is not None:
+            return web.json_response({"ok": False, "error": "This prompt/node has already been answered."})
+
+        waiter["data"] = {
+            "action": action,
+            "x0": x0,
+            "y0": y0,
+            "x1": x1,
+            "y1": y1,
+            "angle": angle,
+            "rects": rects,
+            "regions": regions,
+            "dx": dx,
+            "dy": dy,
+        }
         waiter["event"].set()
 
+    # Lets every open tab close the session, including when a script answered it.
+    PromptServer.instance.send_sync(
+        "interactive.crop.resolved", {"prompt_id": prompt_id, "node": node_id, "action": action}
+    )
     return web.json_response({"ok": True})
 
 
@@ -163,8 +1063,23 @@ class InteractiveCrop:
         return {
             "required": {
                 "image": ("IMAGE",),
-                "force_original_ratio": ("BOOLEAN", {"default": False}),
-                "resize_to_original": ("BOOLEAN", {"default": False}),
+                "aspect_mode": (ASPECT_MODES, {"default": "free"}),
+                "custom_aspect": ("STRING", {"default": DEFAULT_CUSTOM_ASPECT}),
+                "output_size": (OUTPUT_SIZE_MODES, {"default": "none"}),
+                "batch_mismatch": (BATCH_MISMATCH_MODES, {"default": "resize"}),
+                "snap_multiple": ("INT", {"default": 1, "min": 1, "max": 512, "step": 1}),
+                "timeout_seconds": ("INT", {"default": TIMEOUT_SECONDS, "min": 0, "max": 7 * 24 * 3600, "step": 1}),
+                "on_timeout": (TIMEOUT_ACTIONS, {"default": "fail"}),
+                "output_width": ("INT", {"default": 0, "min": 0, "max": 16384, "step": 1}),
+                "output_height": ("INT", {"default": 0, "min": 0, "max": 16384, "step": 1}),
+                "longest_side": ("INT", {"default": 1024, "min": 1, "max": 16384, "step": 1}),
+                "pad_color": ("STRING", {"default": DEFAULT_PAD_COLOR}),
+                "interpolation": (INTERPOLATIONS, {"default": "bilinear"}),
+                "allow_expand": ("BOOLEAN", {"default": False}),
+                "auto_apply_last": ("BOOLEAN", {"default": False}),
+            },
+            "optional": {
+                "mask": ("MASK",),
             },
             "hidden": {
                 "node_id": "UNIQUE_ID",
@@ -173,22 +1088,60 @@ class InteractiveCrop:
             },
         }
 
-    RETURN_TYPES = ("IMAGE", "BOOLEAN")
-    RETURN_NAMES = ("image", "did_crop")
+    RETURN_TYPES = ("IMAGE", "BOOLEAN", "IMAGE", "INT", "INT", "INT", "INT", "INT", "MASK", "MASK", "CROP_BOX", "MASK")
+    RETURN_NAMES = (
+        "image",
+        "did_crop",
+        "regions",
+        "region_count",
+        "x",
+        "y",
+        "width",
+        "height",
+        "selection_mask",
+        "cropped_mask",
+        "crop_box",
+        "outpaint_mask",
+    )
+    # `regions` is a list with one batch per region (region 1 first).
+    OUTPUT_IS_LIST = (False, False, True, False, False, False, False, False, False, False, False, False)
     FUNCTION = "run"
     CATEGORY = "image"
 
     def run(
         self,
         image: torch.Tensor,
-        force_original_ratio: bool,
-        resize_to_original: bool,
+        aspect_mode: str,
+        custom_aspect: str,
+        output_size: str,
+        batch_mismatch: str,
+        snap_multiple: int,
+        timeout_seconds: int,
+        on_timeout: str,
+        output_width: int,
+        output_height: int,
+        longest_side: int,
+        pad_color: str,
+        interpolation: str,
+        allow_expand: bool,
+        auto_apply_last: bool,
         node_id: str,
+        mask: Optional[torch.Tensor] = None,
         prompt=None,
         extra_pnginfo=None,
     ):
+        sizing = {
+            "mode": str(output_size),
+            "width": int(output_width),
+            "height": int(output_height),
+            "longest_side": int(longest_side),
+            "pad_color": str(pad_color),
+            "interpolation": str(interpolation),
+        }
+        expand = bool(allow_expand)
+
         if _is_node_bypassed(node_id, extra_pnginfo=extra_pnginfo, prompt=prompt):
-            return (image, False)
+            return _build_outputs(image, mask, None, sizing, batch_mismatch)
 
         prompt_id = getattr(PromptServer.instance, "last_prompt_id", None)
         prompt_id = str(prompt_id) if prompt_id is not None else "unknown"
@@ -196,79 +1149,237 @@ class InteractiveCrop:
 
         orig_b, orig_h, orig_w, orig_c = image.shape
 
-        key = (prompt_id, node_id)
-        evt = threading.Event()
-        with _LOCK:
-            _WAITERS[key] = {"event": evt, "data": None}
+        # The crop saved with the workflow, when auto-applying skips the pause (or a timeout falls back to it).
+        stored = _stored_regions(node_id, extra_pnginfo, orig_w, orig_h, orig_b)
+        if auto_apply_last and stored:
+            PromptServer.instance.send_sync(
+                "interactive.crop.auto_applied",
+                {"prompt_id": prompt_id, "node": node_id, "regions": max(len(f) for f in stored)},
+            )
+            payload = {"action": "continue", "regions": stored}
+        else:
+            payload = self._ask_user(
+                image, prompt_id, node_id, aspect_mode, custom_aspect, snap_multiple, expand, timeout_seconds, on_timeout
+            )
+            if payload is None:
+                # The crop saved in this workflow first; the in-memory one covers workflows saved before it.
+                last = stored or _recall_regions(_last_regions_key(node_id, extra_pnginfo, orig_w, orig_h))
+                payload = {"action": "continue", "regions": last} if last else {"action": "passthrough"}
 
-        pil = _to_pil(image)
-        preview_info = _save_temp_preview(pil, prefix=f"crop_{prompt_id}_{node_id}")
-
-        PromptServer.instance.send_sync(
-            "interactive.crop.request",
-            {
-                "prompt_id": prompt_id,
-                "node": node_id,
-                "image": preview_info,
-                "width": pil.width,
-                "height": pil.height,
-                "force_original_ratio": bool(force_original_ratio),
-            },
-        )
+        action = payload.get("action", "")
 
-        deadline = time.time() + float(TIMEOUT_SECONDS)
-        ok = False
-        while time.time() < deadline:
-            if evt.wait(timeout=0.25):
-                ok = True
-                break
-            if _processing_interrupted():
-                with _LOCK:
-                    _WAITERS.pop(key, None)
-                raise comfy.model_management.InterruptProcessingException(
-                    "InteractiveCrop: job cancelled while waiting for user input."
+        if action == "cancel":
+            raise comfy.model_management.InterruptProcessingException("InteractiveCrop: user cancelled.")
+
+        if action == "passthrough":
+            return _build_outputs(image, mask, None, sizing, batch_mismatch)
+
+        # "continue" => crop (but if invalid rect, treat as passthrough)
+        regions = payload.get("regions")
+        if not isinstance(regions, list) or not regions:
+            rects = payload.get("rects")
+            if not isinstance(rects, list) or len(rects) != orig_b:
+                single = (
+                    int(payload.get("x0", 0)),
+                    int(payload.get("y0", 0)),
+                    int(payload.get("x1", 0)),
+                    int(payload.get("y1", 0)),
+                    float(payload.get("angle", 0) or 0),
                 )
+                rects = [single] * orig_b
+            regions = [[r] if r else [] for r in rects]
+        elif len(regions) != orig_b:
+            # Regions drawn on a single preview apply to every frame.
+            regions = [regions[0]] * orig_b
+
+        if int(snap_multiple) > 1:
+            regions = [
+                [c for c in (_snap_rect(r, int(snap_multiple), orig_w, orig_h, expand) for r in frame if r) if c]
+                for frame in regions
+            ]
+
+        if any(regions):
+            _remember_regions(_last_regions_key(node_id, extra_pnginfo, orig_w, orig_h), regions)
+
+        return _build_outputs(image, mask, regions, sizing, batch_mismatch, expand)
+
+    def _ask_user(
+        self,
+        image: torch.Tensor,
+        prompt_id: str,
+        node_id: str,
+        aspect_mode: str,
+        custom_aspect: str,
+        snap_multiple: int,
+        expand: bool,
+        timeout_seconds: int,
+        on_timeout: str,
+    ) -> Optional[Dict[str, Any]]:
+        """Show the preview and wait for the user's decision.
+
+        On timeout returns the on_timeout payload, or None for "apply_last" (the caller knows the last crop).
+        """
+        orig_b = image.shape[0]
+
+        orig_h, orig_w = image.shape[1], image.shape[2]
 
+        key = (prompt_id, node_id)
+        evt = threading.Event()
         with _LOCK:
-            payload = _WAITERS.get(key, {}).get("data")
-            _WAITERS.pop(key, None)
+            # The full-resolution frames back GET /interactive_crop/tile.
+            _WAITERS[key] = {"event": evt, "data": None, "image": image}
+
+        timeout = max(0, int(timeout_seconds))
+
+        frames = [
+            _save_temp_preview(_to_pil(image, i), prefix=f"crop_{prompt_id}_{node_id}_{i}") for i in range(orig_b)
+        ]
+
+        request = {
+            "prompt_id": prompt_id,
+            "node": node_id,
+            "image": frames[0],
+            "images": frames,
+            "batch_size": int(orig_b),
+            # Original size; the previews may be smaller (preview_scale = preview / original).
+            "width": orig_w,
+            "height": orig_h,
+            "preview_scale": frames[0]["width"] / orig_w,
+            "aspect_mode": str(aspect_mode),
+            "custom_aspect": str(custom_aspect),
+            "snap_multiple": int(snap_multiple),
+            "allow_expand": bool(expand),
+            "timeout_seconds": timeout,
+            # Server clock (epoch seconds); None when waiting forever.
+            "deadline": time.time() + timeout if timeout else None,
+            "on_timeout": str(on_timeout),
+        }
+        _publish_pending(key, "crop", request)
+        PromptServer.instance.send_sync("interactive.crop.request", request)
 
-        if not ok or not payload:
-            raise Exception("InteractiveCrop: timed out waiting for user input.")
+        try:
+            payload = _wait_for_decision(key, evt, "InteractiveCrop", timeout)
+        finally:
+            _remove_temp_previews(frames)
+        if payload:
+            return payload
+        if on_timeout == "passthrough":
+            return {"action": "passthrough"}
+        if on_timeout == "apply_last":
+            return None
+        raise Exception("InteractiveCrop: timed out waiting for user input.")
 
-        action = payload.get("action", "")
 
-        if action == "cancel":
-            raise comfy.model_management.InterruptProcessingException("InteractiveCrop: user cancelled.")
+class InteractiveUncrop:
+    @classmethod
+    def INPUT_TYPES(cls):
+        return {
+            "required": {
+                "original": ("IMAGE",),
+                "crop": ("IMAGE",),
+                "crop_box": ("CROP_BOX",),
+                "feather": ("INT", {"default": 0, "min": 0, "max": 512, "step": 1}),
+                "review": ("BOOLEAN", {"default": True}),
+            },
+            "hidden": {
+                "node_id": "UNIQUE_ID",
+                "prompt": "PROMPT",
+                "extra_pnginfo": "EXTRA_PNGINFO",
+            },
+        }
 
-        if action == "passthrough":
-            return (image, False)
+    RETURN_TYPES = ("IMAGE",)
+    RETURN_NAMES = ("image",)
+    FUNCTION = "run"
+    CATEGORY = "image"
 
-        # "continue" => crop (but if invalid rect, treat as passthrough)
-        x0 = int(payload.get("x0", 0))
-        y0 = int(payload.get("y0", 0))
-        x1 = int(payload.get("x1", 0))
-        y1 = int(payload.get("y1", 0))
+    def run(
+        self,
+        original: torch.Tensor,
+        crop: torch.Tensor,
+        crop_box: Dict[str, Any],
+        feather: int,
+        review: bool,
+        node_id: str,
+        prompt=None,
+        extra_pnginfo=None,
+    ):
+        b, h, w, c = original.shape
+        boxes = crop_box.get("boxes") if isinstance(crop_box, dict) else None
+        if not boxes:
+            boxes = [[0, 0, w, h]]
+        angles = crop_box.get("angles") if isinstance(crop_box, dict) else None
+        angles = [float(a or 0) for a in angles] if isinstance(angles, list) and angles else None
+
+        # Boxes are in the coordinates of the image that was cropped; follow a resized original.
+        src_w = int(crop_box.get("source_width", w)) if isinstance(crop_box, dict) else w
+        src_h = int(crop_box.get("source_height", h)) if isinstance(crop_box, dict) else h
+        if (src_w, src_h) != (w, h) and src_w > 0 and src_h > 0:
+            sx, sy = w / src_w, h / src_h
+            boxes = [[round(x0 * sx), round(y0 * sy), round(x1 * sx), round(y1 * sy)] for x0, y0, x1, y1 in boxes]
+
+        content = crop_box.get("content") if isinstance(crop_box, dict) else None
+        if isinstance(content, list) and len(content) == 4:
+            crop, boxes = _strip_output_framing(crop, boxes, [float(v) for v in content])
+
+        if not review or _is_node_bypassed(node_id, extra_pnginfo=extra_pnginfo, prompt=prompt):
+            return (_paste_frames(original, crop, boxes, 0, 0, int(feather), angles),)
+
+        prompt_id = getattr(PromptServer.instance, "last_prompt_id", None)
+        prompt_id = str(prompt_id) if prompt_id is not None else "unknown"
+        node_id = str(node_id)
+
+        key = (prompt_id, node_id)
+        evt = threading.Event()
+        with _LOCK:
+            _WAITERS[key] = {"event": evt, "data": None}
 
-        b, h, w, c = image.shape
+        x0, y0, x1, y1 = boxes[0]
+        original_info = _save_temp_preview(_to_pil(original), prefix=f"uncrop_{prompt_id}_{node_id}")
+        crop_info = _save_temp_preview(_to_pil(crop), prefix=f"uncrop_{prompt_id}_{node_id}_crop")
+
+        request = {
+            "prompt_id": prompt_id,
+            "node": node_id,
+            "image": original_info,
+            "overlay": crop_info,
+            "width": w,
+            "height": h,
+            "box": {
+                "x": x0,
+                "y": y0,
+                "width": x1 - x0,
+                "height": y1 - y0,
+                "angle": angles[0] if angles else 0.0,
+            },
+            "feather": int(feather),
+            "deadline": time.time() + TIMEOUT_SECONDS,
+        }
+        _publish_pending(key, "uncrop", request)
+        PromptServer.instance.send_sync("interactive.uncrop.request", request)
 
-        x0, x1 = sorted([x0, x1])
-        y0, y1 = sorted([y0, y1])
+        try:
+            payload = _wait_for_decision(key, evt, "InteractiveUncrop")
+        finally:
+            _remove_temp_previews([original_info, crop_info])
+        if not payload:
+            raise Exception("InteractiveUncrop: timed out waiting for user input.")
 
-        x0 = max(0, min(w - 1, x0))
-        x1 = max(0, min(w, x1))
-        y0 = max(0, min(h - 1, y0))
-        y1 = max(0, min(h, y1))
+        action = payload.get("action", "")
 
-        if x1 <= x0 or y1 <= y0:
-            return (image, False)
+        if action == "cancel":
+            raise comfy.model_management.InterruptProcessingException("InteractiveUncrop: user cancelled.")
 
-        cropped = image[:, y0:y1, x0:x1, :].contiguous()
-        if resize_to_original:
-            cropped = _resize_image_tensor_to_hw(cropped, orig_h, orig_w)
+        if action == "passthrough":
+            return (original,)
 
-        return (cropped, True)
+        dx = int(payload.get("dx", 0))
+        dy = int(payload.get("dy", 0))
+        return (_paste_frames(original, crop, boxes, dx, dy, int(feather), angles),)
 
 
-NODE_CLASS_MAPPINGS = {"InteractiveCrop": InteractiveCrop}
-NODE_DISPLAY_NAME_MAPPINGS = {"InteractiveCrop": "Interactive Crop"}
+NODE_CLASS_MAPPINGS = {"InteractiveCrop": InteractiveCrop, "InteractiveUncrop": InteractiveUncrop}
+NODE_DISPLAY_NAME_MAPPINGS = {
+    "InteractiveCrop": "Interactive Crop",
+    "InteractiveUncrop": "Interactive Uncrop / Paste Back",
+}
@@ -7,6 +7,9 @@ function clamp(n, a, b) {
 
 function hasPrimaryButton(e) {
   // Works for PointerEvent/MouseEvent in most browsers.
+  // Touch moves only fire while the finger is down, and a pen may report buttons=0 with the tip pressed.
+  if (e?.pointerType === "touch" || e?.touches?.length) return true;
+  if (e?.pointerType === "pen" && Number(e.pressure) > 0) return true;
   // If buttons is missing, assume down only when type suggests it.
   const b = Number(e?.buttons ?? 0);
   if (Number.isFinite(b) && b !== 0) return (b & 1) === 1;
@@ -80,7 +83,7 @@ function wrapTextLines(ctx, text, maxWidth) {
   return lines;
 }
 
-async function postDecision({ prompt_id, node_id, action, rect }) {
+async function postDecision({ prompt_id, node_id, action, rect, rects, regions, offset }) {
   const body = new FormData();
   body.append("prompt_id", prompt_id);
   body.append("node_id", node_id);
@@ -91,9 +94,38 @@ async function postDecision({ prompt_id, node_id, action, rect }) {
     body.append("y0", rect.y0);
     body.append("x1", rect.x1);
     body.append("y1", rect.y1);
+    if (rect.angle) body.append("angle", rect.angle);
   }
 
-  await api.fetchApi("/interactive_crop/submit", { method: "POST", body });
+  // Batches: one {x0,y0,x1,y1[,angle]} (or null for "keep the full frame") per frame.
+  if (rects) body.append("rects", JSON.stringify(rects));
+  // Multiple regions: per frame, a list of {x0,y0,x1,y1[,angle]}.
+  if (regions) body.append("regions", JSON.stringify(regions));
+
+  // Interactive Uncrop: placement nudge in image pixels.
+  if (offset) {
+    body.append("dx", offset.dx);
+    body.append("dy", offset.dy);
+  }
+
+  // { ok, error }: not ok when the pause was already answered elsewhere (another tab, a script) or has ended.
+  // `unsent` when the request failed on the way: the pause is still open and the answer can be retried.
+  let res;
+  try {
+    res = await api.fetchApi("/interactive_crop/submit", { method: "POST", body });
+  } catch (err) {
+    return { ok: false, unsent: true, error: String(err?.message ?? err) };
+  }
+  return res.json().catch(() => ({ ok: res.ok }));
+}
+
+function previewUrl(info) {
+  const qs = new URLSearchParams({
+    filename: info.filename,
+    type: info.type,
+    subfolder: info.subfolder || "",
+  });
+  return `/view?${qs.toString()}`;
 }
 
 function getNodeById(nodeId) {
@@ -204,23 +236,12 @@ function ensureVisibilityRecovery() {
         continue;
       }
 
+      ensureRectWidgets(node);
       ensureButtons(node);
       attachInlineHandlers(node);
 
-      // If the preview image was evicted while the tab was hidden, reload it.
-      if (!st.img || !st.img.complete || st.img.naturalWidth === 0 || st.img.naturalHeight === 0) {
-        if (st.imgUrl) {
-          const img = new Image();
-          img.onload = () => {
-            st.img = img;
-            st.imgW = img.width;
-            st.imgH = img.height;
-            st.ready = true;
-            node.setDirtyCanvas(true, true);
-          };
-          img.src = st.imgUrl;
-        }
-      }
+      // If preview images were evicted while the tab was hidden, reload them.
+      loadFrameImages(node, st, { onlyBroken: true });
 
       node.setDirtyCanvas(true, true);
     }
@@ -237,6 +258,14 @@ function ensureGlobalListeners() {
   window.addEventListener("pointerup", forceReleaseDrag, { capture: true });
   window.addEventListener("pointercancel", forceReleaseDrag, { capture: true });
   window.addEventListener("blur", forceReleaseDrag);
+  window.addEventListener("keydown", onGlobalKeyDown, { capture: true });
+  window.addEventListener("keyup", onGlobalKeyUp, { capture: true });
+  window.addEventListener("blur", () => (SPACE_HELD = false));
+  window.addEventListener("wheel", onGlobalWheel, { capture: true, passive: false });
+  window.addEventListener("pointerdown", onGlobalPointerDown, { capture: true });
+  window.addEventListener("pointermove", onGlobalPointerMove, { capture: true });
+  window.addEventListener("pointerup", onGlobalPointerUp, { capture: true });
+  window.addEventListener("pointercancel", onGlobalPointerUp, { capture: true });
 
   ensureVisibilityRecovery();
 }
@@ -244,6 +273,148 @@ function ensureGlobalListeners() {
 // -------------------------
 // Aspect helper
 // -------------------------
+function parseRatioString(text) {
+  // Accepts "W:H", "WxH" or "W/H" (e.g. "4:3", "1152x896", "2.39:1").
+  const m = String(text ?? "").match(/(\d+(?:\.\d+)?)\s*[:x×/]\s*(\d+(?:\.\d+)?)/i);
+  if (!m) return null;
+  const a = Number(m[1]);
+  const b = Number(m[2]);
+  if (!(a > 0) || !(b > 0)) return null;
+  return a / b;
+}
+
+function resolveAspectRatio(mode, custom, imgW, imgH, swapped) {
+  const m = String(mode ?? "free").trim().toLowerCase();
+  let ratio = null;
+  if (m === "original") ratio = imgW > 0 && imgH > 0 ? imgW / imgH : null;
+  else if (m === "custom") ratio = parseRatioString(custom);
+  else if (m !== "free") ratio = parseRatioString(m);
+
+  if (ratio && swapped) ratio = 1 / ratio;
+  return ratio;
+}
+
+const DEFAULT_CUSTOM_ASPECT = "4:5";
+
+function readAspectRatio(node, st) {
+  // Live-read the aspect widgets so changes apply while the session is active.
+  const modeWidget = findWidget(node, "aspect_mode");
+  const customWidget = findWidget(node, "custom_aspect");
+  if (modeWidget) st.aspectMode = String(modeWidget.value ?? "free");
+  if (customWidget) st.customAspect = String(customWidget.value ?? "");
+  return resolveAspectRatio(st.aspectMode, st.customAspect, st.imgW, st.imgH, st.aspectSwapped);
+}
+
+function fitRectToRatio(rect, ratio, boxW, boxH) {
+  // Re-shape around the rect's center, keeping roughly the same area.
+  const r = normalizeRect(rect);
+  const cx = r.x + r.w / 2;
+  const cy = r.y + r.h / 2;
+  const area = Math.max(r.w * r.h, 4);
+  let w = Math.sqrt(area * ratio);
+  let h = w / ratio;
+  const s = Math.min(1, boxW / w, boxH / h);
+  w *= s;
+  h *= s;
+  if (r.angle) return clampRectToBox({ x: cx - w / 2, y: cy - h / 2, w, h, angle: r.angle }, boxW, boxH);
+  const x = clamp(cx - w / 2, 0, boxW - w);
+  const y = clamp(cy - h / 2, 0, boxH - h);
+  return { x, y, w, h };
+}
+
+// -------------------------
+// Snap to multiple
+// -------------------------
+function readSnapMultiple(node, st) {
+  // Live-read like the aspect widgets; 1 = off.
+  const widget = findWidget(node, "snap_multiple");
+  if (widget) st.snap = Math.max(1, Math.round(Number(widget.value) || 1));
+  return st.snap;
+}
+
+// -------------------------
+// Expand past the image (outpainting)
+// -------------------------
+const EXPAND_MARGIN = 0.5; // how far past each edge a rect may reach, as a fraction of the image size (matches the backend)
+let CHECKER_PATTERN = null;
+
+function readAllowExpand(node, st) {
+  const widget = findWidget(node, "allow_expand");
+  if (widget) st.expand = !!widget.value;
+  return !!st.expand;
+}
+
+function selectionExtent(st) {
+  // The area rects may cover, in image pixels: the image itself, or with allow_expand the image plus a margin.
+  if (!st.expand) return { x: 0, y: 0, w: st.imgW, h: st.imgH };
+  const mx = Math.floor(st.imgW * EXPAND_MARGIN);
+  const my = Math.floor(st.imgH * EXPAND_MARGIN);
+  return { x: -mx, y: -my, w: st.imgW + mx * 2, h: st.imgH + my * 2 };
+}
+
+function inExtent(st, rect, fn) {
+  // Run a (rect, boxW, boxH) helper written for a box at the origin against the extent, which
+  // starts at a negative offset when expanding. `fn` also gets the extent to shift pointer coords.
+  const ext = selectionExtent(st);
+  const out = fn(rect && { ...rect, x: rect.x - ext.x, y: rect.y - ext.y }, ext.w, ext.h, ext);
+  return out && { ...out, x: out.x + ext.x, y: out.y + ext.y };
+}
+
+function drawCheckerboard(ctx, x, y, w, h) {
+  // Marks the area outside the image that an expanded crop would add.
+  if (!CHECKER_PATTERN) {
+    const tile = document.createElement("canvas");
+    tile.width = 16;
+    tile.height = 16;
+    const tctx = tile.getContext("2d");
+    tctx.fillStyle = "#8a8a8a";
+    tctx.fillRect(0, 0, 16, 16);
+    tctx.fillStyle = "#5a5a5a";
+    tctx.fillRect(0, 0, 8, 8);
+    tctx.fillRect(8, 8, 8, 8);
+    CHECKER_PATTERN = ctx.createPattern(tile, "repeat");
+  }
+  ctx.save();
+  ctx.fillStyle = CHECKER_PATTERN;
+  ctx.fillRect(x, y, w, h);
+  ctx.restore();
+}
+
+function anchorForHandle(handle) {
+  // The corner that stays put while `handle` is dragged ("e" keeps the top-left, …).
+  return (handle.includes("n") ? "s" : "n") + (handle.includes("w") ? "e" : "w");
+}
+
+function snapRectToMultiple(rect, n, boxW, boxH, ratio, anchor = "c") {
+  // Width/height to multiples of n, keeping `anchor` ("nw" | "ne" | "sw" | "se" | "c") in place.
+  // With a locked ratio the height follows the snapped width, so the ratio is as close as the grid allows.
+  if (!rect || !(n > 1)) return rect;
+  const r = normalizeRect(rect);
+  if (r.w < 2 || r.h < 2) return r;
+
+  // Rotated rects snap about their center and may overhang the image.
+  const rotated = !!r.angle;
+  if (rotated) anchor = "c";
+  const center = anchor === "c";
+  const keepRight = anchor.includes("e");
+  const keepBottom = anchor.includes("s");
+  const roomW = rotated ? Infinity : center ? boxW : keepRight ? r.x + r.w : boxW - r.x;
+  const roomH = rotated ? Infinity : center ? boxH : keepBottom ? r.y + r.h : boxH - r.y;
+  const fit = (v, room) => clamp(Math.round(v / n) * n, n, Math.max(n, Math.floor(room / n) * n));
+
+  let w = fit(r.w, roomW);
+  const h = fit(ratio ? w / ratio : r.h, roomH);
+  if (ratio) w = fit(h * ratio, roomW);
+
+  let x = center ? r.x + (r.w - w) / 2 : keepRight ? r.x + r.w - w : r.x;
+  let y = center ? r.y + (r.h - h) / 2 : keepBottom ? r.y + r.h - h : r.y;
+  if (!rotated) {
+    x = clamp(Math.round(x), 0, Math.max(0, boxW - w));
+    y = clamp(Math.round(y), 0, Math.max(0, boxH - h));
+  }
+  return { ...r, x, y, w, h };
+}
+
 function enforceAspectRect(startX, startY, curX, curY, ratio, maxW, maxH) {
   const dx = curX - startX;
   const dy = curY - startY;
@@ -284,10 +455,404 @@ function enforceAspectRect(startX, startY, curX, curY, ratio, maxW, maxH) {
   return { endX, endY };
 }
 
+// -------------------------
+// Zoom / pan
+// -------------------------
+const MAX_ZOOM = 64;
+let SPACE_HELD = false;
+
+function canvasScale() {
+  const s = Number(app?.canvas?.ds?.scale ?? 1);
+  return Number.isFinite(s) && s > 0 ? s : 1;
+}
+
+function updateView(st) {
+  // Called from onDrawForeground once st.drawBox is known.
+  const box = st.drawBox;
+  st.fitScale = box.w / selectionExtent(st).w;
+  if (st.viewMode === "1:1") st.zoom = 1 / (canvasScale() * st.fitScale);
+  st.zoom = clamp(st.zoom, 1, Math.max(1, MAX_ZOOM));
+  st.scale = st.fitScale * st.zoom;
+  clampView(st);
+}
+
+function clampView(st) {
+  const box = st.drawBox;
+  if (!box) return;
+  const ext = selectionExtent(st);
+  const visW = box.w / st.scale;
+  const visH = box.h / st.scale;
+  st.viewX = clamp(st.viewX, ext.x, ext.x + Math.max(0, ext.w - visW));
+  st.viewY = clamp(st.viewY, ext.y, ext.y + Math.max(0, ext.h - visH));
+}
+
+function rectToLocal(st, r) {
+  // Image coords -> coords relative to the preview box.
+  return {
+    x: (r.x - st.viewX) * st.scale,
+    y: (r.y - st.viewY) * st.scale,
+    w: r.w * st.scale,
+    h: r.h * st.scale,
+    angle: rectAngle(r),
+  };
+}
+
+function localToImage(st, lx, ly) {
+  const s = st.scale || 1;
+  return { x: st.viewX + lx / s, y: st.viewY + ly / s };
+}
+
+function zoomViewAt(st, lx, ly, zoom) {
+  // Keep the image point under (lx, ly) fixed while zooming.
+  const anchor = localToImage(st, lx, ly);
+  st.viewMode = "custom";
+  st.zoom = clamp(zoom, 1, MAX_ZOOM);
+  st.scale = st.fitScale * st.zoom;
+  st.viewX = anchor.x - lx / st.scale;
+  st.viewY = anchor.y - ly / st.scale;
+  clampView(st);
+}
+
+function panView(st, dxLocal, dyLocal) {
+  st.viewX -= dxLocal / (st.scale || 1);
+  st.viewY -= dyLocal / (st.scale || 1);
+  clampView(st);
+}
+
+function toggleFitView(node) {
+  const st = node.__interactive_crop_state;
+  if (!st || !st.drawBox) return;
+
+  if (st.viewMode === "1:1" || st.zoom > 1) {
+    st.viewMode = "fit";
+    st.zoom = 1;
+    st.viewX = selectionExtent(st).x;
+    st.viewY = selectionExtent(st).y;
+  } else {
+    // 1:1 centered on the selection (or the image center).
+    const r = st.rect ?? { x: 0, y: 0, w: st.imgW, h: st.imgH };
+    st.viewMode = "1:1";
+    updateView(st);
+    st.viewX = r.x + r.w / 2 - st.drawBox.w / st.scale / 2;
+    st.viewY = r.y + r.h / 2 - st.drawBox.h / st.scale / 2;
+    clampView(st);
+  }
+  node.setDirtyCanvas(true, true);
+}
+
+function drawViewToggle(ctx, node, st) {
+  const box = st.drawBox;
+  const zoomed = st.viewMode === "1:1" || st.zoom > 1;
+  const label = zoomed ? `${Math.round(st.scale * canvasScale() * 100)}% · Fit` : "1:1";
+
+  ctx.save();
+  ctx.font = "11px sans-serif";
+  const w = Math.ceil(ctx.measureText(label).width) + 10;
+  const h = 16;
+  const x = box.x + box.w - w - 4;
+  const y = box.y + 4;
+  ctx.fillStyle = "rgba(0,0,0,0.6)";
+  ctx.fillRect(x, y, w, h);
+  ctx.fillStyle = "rgba(255,255,255,0.9)";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(label, x + w / 2, y + h / 2);
+  ctx.restore();
+
+  addHitRegion(st, x, y, w, h, () => toggleFitView(node));
+}
+
+function drawSizeBadge(ctx, st, box = st.drawBox) {
+  // Output size of the active region while it is being dragged (after snapping).
+  const d = rectToDecision(st.rect);
+  if (!d) return;
+  let label = `${d.x1 - d.x0}×${d.y1 - d.y0}`;
+  if (st.snap > 1) label += ` · snap ${st.snap}`;
+
+  ctx.save();
+  ctx.font = "11px sans-serif";
+  const w = Math.ceil(ctx.measureText(label).width) + 10;
+  const h = 16;
+  const x = box.x + 4;
+  const y = box.y + 4;
+  ctx.fillStyle = "rgba(0,0,0,0.6)";
+  ctx.fillRect(x, y, w, h);
+  ctx.fillStyle = "rgba(255,255,255,0.9)";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(label, x + w / 2, y + h / 2);
+  ctx.restore();
+}
+
+function eventToGraphPos(e) {
+  const c = app?.canvas;
+  if (!c) return null;
+  if (typeof c.convertEventToCanvasOffset === "function") return c.convertEventToCanvasOffset(e);
+
+  const el = c.canvas;
+  const ds = c.ds;
+  if (!el || !ds) return null;
+  const r = el.getBoundingClientRect();
+  return [(e.clientX - r.left) / ds.scale - ds.offset[0], (e.clientY - r.top) / ds.scale - ds.offset[1]];
+}
+
+function previewHitAtEvent(e) {
+  // The selected session node whose preview box is under the pointer, if any.
+  if (e.target !== app?.canvas?.canvas) return null;
+  const gp = eventToGraphPos(e);
+  if (!gp) return null;
+
+  for (const node of ACTIVE_SESSIONS) {
+    const st = node?.__interactive_crop_state;
+    if (!isSessionInteractive(st) || !st.drawBox || !isNodeSelected(node)) continue;
+    const lx = gp[0] - node.pos[0] - st.drawBox.x;
+    const ly = gp[1] - node.pos[1] - st.drawBox.y;
+    if (lx >= 0 && ly >= 0 && lx <= st.drawBox.w && ly <= st.drawBox.h) return { node, st, lx, ly };
+  }
+  return null;
+}
+
+function onGlobalWheel(e) {
+  const hit = previewHitAtEvent(e);
+  if (!hit) return; // Outside the preview the graph canvas zooms as usual.
+
+  e.preventDefault();
+  e.stopImmediatePropagation();
+
+  const factor = Math.exp(-e.deltaY * 0.0015);
+  zoomViewAt(hit.st, hit.lx, hit.ly, hit.st.zoom * factor);
+  hit.node.setDirtyCanvas(true, true);
+}
+
+let MIDDLE_PAN = null;
+
+function onGlobalPointerDown(e) {
+  LAST_POINTER_TYPE = e.pointerType || "mouse";
+  if (e.pointerType === "touch") {
+    // A second finger on the same preview turns the gesture into a pinch; LiteGraph never sees it.
+    const hit = PINCH?.pointers.size ? (e.target === app?.canvas?.canvas ? PINCH : null) : previewHitAtEvent(e);
+    if (hit && trackTouchDown(hit.node, hit.st, e)) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }
+    return;
+  }
+  if (e.button !== 1) return;
+  const hit = previewHitAtEvent(e);
+  if (!hit) return;
+
+  e.preventDefault();
+  e.stopImmediatePropagation();
+  MIDDLE_PAN = { node: hit.node, x: e.clientX, y: e.clientY };
+}
+
+function onGlobalPointerMove(e) {
+  if (trackTouchMove(e)) {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    return;
+  }
+  if (!MIDDLE_PAN) return;
+  if ((Number(e.buttons ?? 0) & 4) === 0) {
+    MIDDLE_PAN = null;
+    return;
+  }
+
+  e.preventDefault();
+  e.stopImmediatePropagation();
+  const st = MIDDLE_PAN.node.__interactive_crop_state;
+  if (st) {
+    // Screen pixels -> graph units.
+    const s = canvasScale();
+    panView(st, (e.clientX - MIDDLE_PAN.x) / s, (e.clientY - MIDDLE_PAN.y) / s);
+  }
+  MIDDLE_PAN.x = e.clientX;
+  MIDDLE_PAN.y = e.clientY;
+  MIDDLE_PAN.node.setDirtyCanvas(true, true);
+}
+
+function onGlobalPointerUp(e) {
+  if (trackTouchUp(e)) {
+    e.stopImmediatePropagation();
+    return;
+  }
+  if (!MIDDLE_PAN || e.button !== 1) return;
+  e.stopImmediatePropagation();
+  MIDDLE_PAN = null;
+}
+
+// -------------------------
+// Full-resolution tiles
+// -------------------------
+// Large images arrive as a downscaled preview (`st.previewScale` < 1); selections are kept in
+// original pixels regardless. Zoomed in past the preview's resolution, the visible part is
+// fetched at full resolution from the backend and drawn over the preview.
+const TILE_MIN_UPSCALE = 1.25; // fetch once preview pixels are drawn this much larger than 1:1
+const TILE_MARGIN = 0.25; // extra area around the visible part, as a share of its size
+const TILE_GRID = 64; // tile edges snap to this many original pixels, so small pans reuse a tile
+const TILE_DELAY_MS = 150; // wait for zooming / panning to settle
+
+function wantedTile(st, view) {
+  // The area to fetch in original pixels, or null when the preview is sharp enough.
+  if (!(st.previewScale < 1) || st.tileFailed) return null;
+  const screenPerPixel = view.scale * (view.screenScale ?? canvasScale());
+  if (screenPerPixel < st.previewScale * TILE_MIN_UPSCALE) return null;
+
+  const visW = view.drawBox.w / view.scale;
+  const visH = view.drawBox.h / view.scale;
+  const edge = (v, round, max) => clamp(round(v / TILE_GRID) * TILE_GRID, 0, max);
+  const tile = {
+    frame: st.frameIndex,
+    x0: edge(view.viewX - visW * TILE_MARGIN, Math.floor, st.imgW),
+    y0: edge(view.viewY - visH * TILE_MARGIN, Math.floor, st.imgH),
+    x1: edge(view.viewX + visW * (1 + TILE_MARGIN), Math.ceil, st.imgW),
+    y1: edge(view.viewY + visH * (1 + TILE_MARGIN), Math.ceil, st.imgH),
+  };
+  return tile.x1 > tile.x0 && tile.y1 > tile.y0 ? tile : null;
+}
+
+function tileCovers(tile, want) {
+  return (
+    !!tile &&
+    tile.frame === want.frame &&
+    tile.x0 <= want.x0 &&
+    tile.y0 <= want.y0 &&
+    tile.x1 >= want.x1 &&
+    tile.y1 >= want.y1
+  );
+}
+
+function updateTile(st, view) {
+  // Called on every draw; schedules a fetch when the loaded tile doesn't cover the view.
+  const want = wantedTile(st, view);
+  if (!want || tileCovers(st.tile, want) || tileCovers(st.tileRequest, want)) return;
+  clearTimeout(st.tileTimer);
+  st.tileTimer = setTimeout(() => fetchTile(st, want), TILE_DELAY_MS);
+}
+
+function fetchTile(st, want) {
+  if (!isSessionInteractive(st)) return;
+  st.tileRequest = want;
+  const qs = new URLSearchParams({
+    prompt_id: st.prompt_id,
+    node_id: st.node_id,
+    frame: want.frame,
+    x0: want.x0,
+    y0: want.y0,
+    x1: want.x1,
+    y1: want.y1,
+  });
+  const img = new Image();
+  img.onload = () => {
+    if (st.tileRequest === want) st.tileRequest = null;
+    st.tile = { ...want, img };
+    getNodeById(st.node_id)?.setDirtyCanvas(true, false);
+  };
+  img.onerror = () => {
+    // The session has probably ended; stay on the preview.
+    st.tileRequest = null;
+    st.tileFailed = true;
+  };
+  img.src = `/interactive_crop/tile?${qs.toString()}`;
+}
+
+// -------------------------
+// Pinch to scale
+// -------------------------
+// Two fingers on the preview scale the active region about its center. The first finger
+// has already started a normal drag by the time the second lands, so that drag is undone.
+let PINCH = null; // { node, st, pointers: Map<pointerId, {x, y}>, before, startDist, startRect }
+
+function pinchDistance() {
+  const [a, b] = Array.from(PINCH.pointers.values());
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+function trackTouchDown(node, st, e) {
+  // Returns true once the touch belongs to a pinch (the caller swallows the event).
+  if (!PINCH || PINCH.node !== node) PINCH = { node, st, pointers: new Map(), before: null, startDist: 0, startRect: null };
+  if (!PINCH.pointers.size) PINCH.before = { regions: cloneRegions(st.regions), activeRegion: st.activeRegion };
+  PINCH.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  if (PINCH.pointers.size < 2) return false;
+  if (PINCH.pointers.size > 2) return true;
+
+  if (st.dragging) {
+    st.dragging = false;
+    st.dragMode = null;
+    st.resizeHandle = null;
+    st.resizeStartRect = null;
+    if (ACTIVE_DRAG_NODE === node) ACTIVE_DRAG_NODE = null;
+  }
+  st.regions.splice(0, st.regions.length, ...cloneRegions(PINCH.before.regions));
+  st.activeRegion = PINCH.before.activeRegion;
+  PINCH.startRect = st.rect ? { ...st.rect } : null;
+  PINCH.startDist = pinchDistance();
+  syncRectWidgets(node);
+  node.setDirtyCanvas(true, true);
+  return true;
+}
+
+function trackTouchMove(e) {
+  if (!PINCH?.pointers.has(e.pointerId)) return false;
+  PINCH.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  if (PINCH.pointers.size < 2) return false;
+
+  const { node, st, startRect: r } = PINCH;
+  if (r && PINCH.startDist > 0 && isSessionInteractive(st)) {
+    const f = pinchDistance() / PINCH.startDist;
+    st.rect = inExtent(st, r, (start, boxW, boxH) => {
+      const c = rectCenter(start);
+      let w = Math.max(2, start.w * f);
+      let h = Math.max(2, start.h * f);
+      if (!rectAngle(start)) {
+        // Shrink uniformly to fit the image so the ratio survives, then keep the center as close as it fits.
+        const s = Math.min(1, boxW / w, boxH / h);
+        w *= s;
+        h *= s;
+      }
+      const next = { ...start, x: c.x - w / 2, y: c.y - h / 2, w, h };
+      if (!rectAngle(start)) {
+        next.x = clamp(next.x, 0, boxW - w);
+        next.y = clamp(next.y, 0, boxH - h);
+      }
+      return snapRectToMultiple(clampRectToBox(next, boxW, boxH), st.snap, boxW, boxH, st.aspectRatio);
+    });
+    syncRectWidgets(node);
+    node.setDirtyCanvas(true, true);
+  }
+  return true;
+}
+
+function trackTouchUp(e) {
+  // Returns true when the lifted finger was part of a pinch.
+  if (!PINCH?.pointers.has(e.pointerId)) return false;
+  const pinching = PINCH.pointers.size >= 2;
+  PINCH.pointers.delete(e.pointerId);
+  if (pinching) commitHistory(PINCH.st);
+  if (!PINCH.pointers.size) PINCH = null;
+  return pinching;
+}
+
 // -------------------------
 // Resize handles
 // -------------------------
-const HANDLE_HALF = 4; // 8x8 squares (tiny)
+const HANDLE_HALF = 4; // 8x8 squares (tiny), in screen pixels
+const HANDLE_HIT_HALF_TOUCH = 14; // fingers need a much larger target than the drawn square
+let LAST_POINTER_TYPE = window.matchMedia?.("(pointer: coarse)")?.matches ? "touch" : "mouse";
+
+function handleMetrics(view) {
+  // Handle and knob sizes in the view's local units, constant on screen whatever the canvas zoom.
+  // The node preview is in graph units (view.screenScale unset); the editor dialog is in CSS pixels.
+  const s = view.screenScale ?? canvasScale();
+  const coarse = LAST_POINTER_TYPE === "touch";
+  return {
+    half: HANDLE_HALF / s,
+    hitHalf: (coarse ? HANDLE_HIT_HALF_TOUCH : HANDLE_HALF) / s,
+    knobR: ROTATE_HANDLE_R / s,
+    knobHitR: (coarse ? HANDLE_HIT_HALF_TOUCH : ROTATE_HANDLE_R + 2) / s,
+    knobDist: (coarse ? ROTATE_HANDLE_DIST * 1.5 : ROTATE_HANDLE_DIST) / s,
+  };
+}
 
 function getRectHandles(rect) {
   const x = rect.x;
@@ -296,7 +861,7 @@ function getRectHandles(rect) {
   const h = rect.h;
   const cx = x + w / 2;
   const cy = y + h / 2;
-  return [
+  const handles = [
     { key: "nw", x: x, y: y },
     { key: "n", x: cx, y: y },
     { key: "ne", x: x + w, y: y },
@@ -306,12 +871,15 @@ function getRectHandles(rect) {
     { key: "sw", x: x, y: y + h },
     { key: "w", x: x, y: cy },
   ];
+  const angle = rectAngle(rect);
+  if (!angle) return handles;
+  return handles.map((hd) => ({ key: hd.key, ...rotatePoint(hd.x, hd.y, cx, cy, angle) }));
 }
 
-function hitTestHandle(localX, localY, rect) {
+function hitTestHandle(localX, localY, rect, half = HANDLE_HALF) {
   const handles = getRectHandles(rect);
   for (const h of handles) {
-    if (Math.abs(localX - h.x) <= HANDLE_HALF && Math.abs(localY - h.y) <= HANDLE_HALF) {
+    if (Math.abs(localX - h.x) <= half && Math.abs(localY - h.y) <= half) {
       return h.key;
     }
   }
@@ -323,11 +891,21 @@ function normalizeRect(r) {
   const y0 = Math.min(r.y, r.y + r.h);
   const x1 = Math.max(r.x, r.x + r.w);
   const y1 = Math.max(r.y, r.y + r.h);
-  return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+  const out = { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+  if (rectAngle(r)) out.angle = rectAngle(r);
+  return out;
 }
 
 function clampRectToBox(rect, boxW, boxH, minSize = 2) {
   let r = normalizeRect(rect);
+  if (r.angle) {
+    // Rotated rects may overhang the image (the backend fills that with black); keep the center on it.
+    r.w = Math.max(r.w, minSize);
+    r.h = Math.max(r.h, minSize);
+    r.x = clamp(r.x + r.w / 2, 0, boxW) - r.w / 2;
+    r.y = clamp(r.y + r.h / 2, 0, boxH) - r.h / 2;
+    return r;
+  }
   r.x = clamp(r.x, 0, boxW);
   r.y = clamp(r.y, 0, boxH);
   r.w = clamp(r.w, 0, boxW - r.x);
@@ -339,8 +917,10 @@ function clampRectToBox(rect, boxW, boxH, minSize = 2) {
   return r;
 }
 
-function applyResize(rect, handle, curX, curY, boxW, boxH, forceRatio, imgW, imgH) {
+function applyResize(rect, handle, curX, curY, boxW, boxH, ratio) {
   // curX/curY are in the same coordinate space as rect (we use image pixels).
+  if (rectAngle(rect)) return applyRotatedResize(rect, handle, curX, curY, boxW, boxH, ratio);
+
   const minSize = 2;
   const r0 = normalizeRect(rect);
   const left = r0.x;
@@ -354,8 +934,7 @@ function applyResize(rect, handle, curX, curY, boxW, boxH, forceRatio, imgW, img
   let y1 = bottom;
 
   // Corner handles can preserve ratio cleanly by using the opposite corner as anchor.
-  if (forceRatio && (handle === "nw" || handle === "ne" || handle === "sw" || handle === "se")) {
-    const ratio = imgW / imgH;
+  if (ratio && (handle === "nw" || handle === "ne" || handle === "sw" || handle === "se")) {
     let anchorX = 0;
     let anchorY = 0;
     if (handle === "nw") {
@@ -401,204 +980,2486 @@ function applyResize(rect, handle, curX, curY, boxW, boxH, forceRatio, imgW, img
   return outRect;
 }
 
-function ensureButtons(node) {
-  if (node.__interactive_crop_buttons_added) return;
-  node.__interactive_crop_buttons_added = true;
-
-  const apply = node.addWidget("button", "Apply Crop / Skip", "apply", async () => {
-    const st = node.__interactive_crop_state;
-    if (!st || !st.ready || !st.sessionActive || st.submitted) return;
+function applyRotatedResize(rect, handle, curX, curY, boxW, boxH, ratio) {
+  // Resize in the rect's own upright frame, then rotate the new center back so the
+  // side opposite the handle stays put. The frame is padded by the image diagonal so
+  // the upright pass never clamps against it.
+  const angle = rectAngle(rect);
+  const r0 = normalizeRect(rect);
+  const c0 = rectCenter(r0);
+  const pad = Math.hypot(boxW, boxH);
+  const span = pad * 2 + Math.max(r0.w, r0.h);
+  const ox = pad - r0.x;
+  const oy = pad - r0.y;
+
+  const p = rotatePoint(curX, curY, c0.x, c0.y, -angle);
+  const up = applyResize({ x: pad, y: pad, w: r0.w, h: r0.h }, handle, p.x + ox, p.y + oy, span, span, ratio);
+  const c1 = rotatePoint(up.x - ox + up.w / 2, up.y - oy + up.h / 2, c0.x, c0.y, angle);
+  return clampRectToBox({ x: c1.x - up.w / 2, y: c1.y - up.h / 2, w: up.w, h: up.h, angle }, boxW, boxH);
+}
 
-    st.submitted = true;
-    node.setDirtyCanvas(true, true);
+// -------------------------
+// Rotation
+// -------------------------
+const ROTATE_HANDLE_DIST = 18; // preview px between the top edge and the rotation knob
+const ROTATE_HANDLE_R = 5;
+const ROTATE_SNAP_DEG = 15;
 
-    if (!st.rect || st.rect.w < 2 || st.rect.h < 2) {
-      await postDecision({ prompt_id: st.prompt_id, node_id: st.node_id, action: "passthrough" });
-      st.sessionActive = false;
-      node.setDirtyCanvas(true, true);
-      return;
-    }
+function rectAngle(r) {
+  const a = Number(r?.angle ?? 0);
+  return Number.isFinite(a) ? a : 0;
+}
 
-    const x0 = Math.round(st.rect.x);
-    const y0 = Math.round(st.rect.y);
-    const x1 = Math.round(st.rect.x + st.rect.w);
-    const y1 = Math.round(st.rect.y + st.rect.h);
+function normalizeAngle(deg) {
+  // Wrap to (-180, 180].
+  let a = deg % 360;
+  if (a > 180) a -= 360;
+  if (a <= -180) a += 360;
+  return Math.round(a * 100) / 100;
+}
 
-    await postDecision({
-      prompt_id: st.prompt_id,
-      node_id: st.node_id,
-      action: "continue",
-      rect: { x0, y0, x1, y1 },
-    });
+function rotatePoint(x, y, cx, cy, deg) {
+  const a = (deg * Math.PI) / 180;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  const dx = x - cx;
+  const dy = y - cy;
+  return { x: cx + dx * cos - dy * sin, y: cy + dx * sin + dy * cos };
+}
 
-    // Replace the preview with the cropped result for user confirmation.
-    // This is a purely client-side crop of the preview image (server crop still happens).
-    try {
-      const cw = Math.max(1, x1 - x0);
-      const ch = Math.max(1, y1 - y0);
-      const c = document.createElement("canvas");
-      c.width = cw;
-      c.height = ch;
-      const cctx = c.getContext("2d");
-      if (cctx && st.img) {
-        cctx.imageSmoothingEnabled = false;
-        cctx.drawImage(st.img, x0, y0, cw, ch, 0, 0, cw, ch);
-        const url = c.toDataURL("image/png");
-        const img2 = new Image();
-        img2.onload = () => {
-          st.img = img2;
-          st.imgW = img2.width;
-          st.imgH = img2.height;
-          st.rect = null;
-          st.dragging = false;
-          st.dragMode = null;
-          st.resizeHandle = null;
-          st.resizeStartRect = null;
-          st.__cursor = "";
-          node.setDirtyCanvas(true, true);
-        };
-        img2.src = url;
-      }
-    } catch {}
+function rectCenter(r) {
+  return { x: r.x + r.w / 2, y: r.y + r.h / 2 };
+}
 
-    st.sessionActive = false;
-    ACTIVE_SESSIONS.delete(node);
-    node.setDirtyCanvas(true, true);
-  });
+function rectContainsPoint(r, x, y) {
+  if (!r) return false;
+  const c = rectCenter(r);
+  const p = rectAngle(r) ? rotatePoint(x, y, c.x, c.y, -rectAngle(r)) : { x, y };
+  return p.x >= r.x && p.x <= r.x + r.w && p.y >= r.y && p.y <= r.y + r.h;
+}
 
-  const cancel = node.addWidget("button", "Cancel Run", "cancel", async () => {
-    const st = node.__interactive_crop_state;
-    if (!st || !st.ready || !st.sessionActive || st.submitted) return;
+function rectCorners(r) {
+  const c = rectCenter(r);
+  const angle = rectAngle(r);
+  return [
+    [r.x, r.y],
+    [r.x + r.w, r.y],
+    [r.x + r.w, r.y + r.h],
+    [r.x, r.y + r.h],
+  ].map(([x, y]) => rotatePoint(x, y, c.x, c.y, angle));
+}
 
-    st.submitted = true;
-    node.setDirtyCanvas(true, true);
+function traceRect(ctx, ox, oy, r) {
+  // Adds r (possibly rotated) to the current path, offset by (ox, oy).
+  if (!rectAngle(r)) {
+    ctx.rect(ox + r.x, oy + r.y, r.w, r.h);
+    return;
+  }
+  const pts = rectCorners(r);
+  ctx.moveTo(ox + pts[0].x, oy + pts[0].y);
+  for (let i = 1; i < pts.length; i++) ctx.lineTo(ox + pts[i].x, oy + pts[i].y);
+  ctx.closePath();
+}
 
-    await postDecision({ prompt_id: st.prompt_id, node_id: st.node_id, action: "cancel" });
+function getRotateHandle(rectLocal, boxW, boxH, dist = ROTATE_HANDLE_DIST) {
+  // Knob above the top edge; flipped inside the rect when that would leave the preview.
+  const c = rectCenter(rectLocal);
+  const angle = rectAngle(rectLocal);
+  const top = rotatePoint(c.x, rectLocal.y, c.x, c.y, angle);
+  let knob = rotatePoint(c.x, rectLocal.y - dist, c.x, c.y, angle);
+  if (knob.x < 0 || knob.y < 0 || knob.x > boxW || knob.y > boxH) {
+    knob = rotatePoint(c.x, rectLocal.y + dist, c.x, c.y, angle);
+  }
+  return { x: knob.x, y: knob.y, anchorX: top.x, anchorY: top.y };
+}
 
-    st.sessionActive = false;
-    ACTIVE_SESSIONS.delete(node);
-    node.setDirtyCanvas(true, true);
-  });
+function hitTestRotateHandle(localX, localY, rectLocal, boxW, boxH, m) {
+  const k = getRotateHandle(rectLocal, boxW, boxH, m.knobDist);
+  return Math.hypot(localX - k.x, localY - k.y) <= m.knobHitR;
+}
 
-  node.__interactive_crop_apply_widget = apply;
-  node.__interactive_crop_cancel_widget = cancel;
+function angleFromPointer(rect, imgX, imgY, snap) {
+  // 0° when the pointer is straight above the center, like the knob at rest.
+  const c = rectCenter(rect);
+  let angle = (Math.atan2(imgY - c.y, imgX - c.x) * 180) / Math.PI + 90;
+  if (snap) angle = Math.round(angle / ROTATE_SNAP_DEG) * ROTATE_SNAP_DEG;
+  return normalizeAngle(angle);
+}
 
-  setWidgetDisabled(apply, true);
-  setWidgetDisabled(cancel, true);
+function isSessionInteractive(st) {
+  return !!(st && st.ready && st.sessionActive && !st.submitted);
 }
 
-function attachInlineHandlers(node) {
-  if (node.__interactive_crop_handlers_attached) return;
-  node.__interactive_crop_handlers_attached = true;
+async function submitApply(node) {
+  const st = node.__interactive_crop_state;
+  if (!isSessionInteractive(st)) return;
 
-  ensureGlobalListeners();
+  st.submitted = true;
+  node.setDirtyCanvas(true, true);
 
-  const origDraw = node.onDrawForeground;
-  node.onDrawForeground = function (ctx) {
-    if (origDraw) origDraw.call(this, ctx);
+  // Per frame, the valid regions in order; region 1 drives the main `image` output.
+  const frameRegionsOut = collectFrameRegions(st).map((list) => list.map(rectToDecision).filter(Boolean));
+  const multiRegion = frameRegionsOut.some((list) => list.length > 1);
+  const rects = st.frames.length > 1 ? frameRegionsOut.map((list) => list[0] ?? null) : null;
+  const anyRect = frameRegionsOut.some((list) => list.length > 0);
 
-    const st = this.__interactive_crop_state;
-    const applyW = this.__interactive_crop_apply_widget;
-    const cancelW = this.__interactive_crop_cancel_widget;
+  if (!anyRect) {
+    await finishPassthrough(node);
+    return;
+  }
 
-    const active = !!(st && st.ready && st.sessionActive && !st.submitted);
+  // The in-node confirmation preview shows the frame (and region) currently on screen.
+  const shown = rectToDecision(st.rect) ?? { x0: 0, y0: 0, x1: st.imgW, y1: st.imgH };
+  const { x0, y0, x1, y1 } = shown;
+  const shownAngle = shown.angle ?? 0;
+
+  // What downstream nodes receive on x / y / width / height (region 1 of the first cropped frame).
+  // Rotated and expanded boxes are not clamped to the image (matches the backend).
+  const primary = frameRegionsOut.find((list) => list.length)?.[0] ?? shown;
+  const free = !!primary.angle || !!st.expand;
+  const px0 = free ? primary.x0 : clamp(primary.x0, 0, st.imgW);
+  const py0 = free ? primary.y0 : clamp(primary.y0, 0, st.imgH);
+  st.result = {
+    kind: "crop",
+    x: px0,
+    y: py0,
+    w: (free ? primary.x1 : clamp(primary.x1, 0, st.imgW)) - px0,
+    h: (free ? primary.y1 : clamp(primary.y1, 0, st.imgH)) - py0,
+    angle: primary.angle ?? 0,
+    regions: Math.max(...frameRegionsOut.map((list) => list.length)),
+    perFrame: !!rects && !st.sameForAll,
+  };
+  const sizing = readOutputSizing(node);
+  const frame = outputFrame(sizing, x1 - x0, y1 - y0, st.imgW, st.imgH);
+  if (frame) Object.assign(st.result, { outMode: sizing.mode, outW: frame.w, outH: frame.h });
+
+  const answer = await postDecision({
+    prompt_id: st.prompt_id,
+    node_id: st.node_id,
+    action: "continue",
+    rect: rects ? null : frameRegionsOut[0][0],
+    rects,
+    regions: multiRegion ? frameRegionsOut : null,
+  });
+  if (answer.unsent) {
+    reopenSession(node);
+    return;
+  }
+  if (!answer.ok) {
+    endResolvedSession(node, null);
+    return;
+  }
+  storeLastCrop(node, st, frameRegionsOut);
 
-    // Apply enabled when active
-    setWidgetDisabled(applyW, !active);
+  // Replace the preview with the cropped result for user confirmation.
+  // This is a purely client-side crop of the preview image (server crop still happens),
+  // at the preview's resolution.
+  try {
+    const k = st.previewScale;
+    const cw = Math.max(1, x1 - x0);
+    const ch = Math.max(1, y1 - y0);
+    const c = document.createElement("canvas");
+    c.width = Math.max(1, Math.round(cw * k));
+    c.height = Math.max(1, Math.round(ch * k));
+    const cctx = c.getContext("2d");
+    if (cctx && st.img) {
+      cctx.imageSmoothingEnabled = k < 1;
+      cctx.scale(k, k);
+      if (st.expand) {
+        // The backend fills the area outside the image with pad_color.
+        cctx.fillStyle = padColorCss(sizing.padColor);
+        cctx.fillRect(0, 0, cw, ch);
+      }
+      if (shownAngle) {
+        // Upright view of the rotated box: rotate the source the other way around its center.
+        cctx.imageSmoothingEnabled = true;
+        cctx.translate(cw / 2, ch / 2);
+        cctx.rotate((-shownAngle * Math.PI) / 180);
+        cctx.drawImage(st.img, -(x0 + x1) / 2, -(y0 + y1) / 2, st.imgW, st.imgH);
+      } else {
+        cctx.drawImage(st.img, -x0, -y0, st.imgW, st.imgH);
+      }
+      const url = (frame ? renderOutputFrame(c, frame, sizing) : c).toDataURL("image/png");
+      const img2 = new Image();
+      img2.onload = () => {
+        st.img = img2;
+        st.imgW = img2.width;
+        st.imgH = img2.height;
+        st.rect = null;
+        st.dragging = false;
+        st.dragMode = null;
+        st.resizeHandle = null;
+        st.resizeStartRect = null;
+        st.__cursor = "";
+        syncRectWidgets(node);
+        node.setDirtyCanvas(true, true);
+      };
+      img2.src = url;
+    }
+  } catch {}
 
-    // Cancel enabled when active (no selection requirement anymore)
-    setWidgetDisabled(cancelW, !active);
+  st.sessionActive = false;
+  ACTIVE_SESSIONS.delete(node);
+  node.setDirtyCanvas(true, true);
+}
 
-    if (!st || !st.ready || !st.img || !st.sessionActive) return;
+function rectToDecision(rect) {
+  if (!rect || rect.w < 2 || rect.h < 2) return null;
+  const out = {
+    x0: Math.round(rect.x),
+    y0: Math.round(rect.y),
+    x1: Math.round(rect.x + rect.w),
+    y1: Math.round(rect.y + rect.h),
+  };
+  if (rectAngle(rect)) out.angle = rectAngle(rect);
+  return out;
+}
 
-    // Live-read force ratio toggle while session active
-    const ratioWidget = findWidget(this, "force_original_ratio");
-    if (ratioWidget) st.forceOriginalRatio = !!ratioWidget.value;
+async function submitSkip(node) {
+  const st = node.__interactive_crop_state;
+  if (!isSessionInteractive(st)) return;
 
-    const padding = 8;
-    const contentTop = calcWidgetAreaY(this);
-    const x = padding;
-    const y = contentTop;
-    const w = this.size[0] - padding * 2;
+  st.submitted = true;
+  node.setDirtyCanvas(true, true);
+  await finishPassthrough(node);
+}
 
-    // Allow user resizing to control preview height (do NOT auto-resize node).
-    // Reserve a little room for instruction text below the image.
-    const maxH = clamp((this.size[1] ?? 0) - y - 48, 20, 2000);
-    const imgAR = st.imgW / st.imgH;
-    let drawW = w;
-    let drawH = Math.round(drawW / imgAR);
-    if (drawH > maxH) {
-      drawH = maxH;
-      drawW = Math.round(drawH * imgAR);
-    }
+async function finishPassthrough(node) {
+  // Shared by Skip and an Apply with no valid selection.
+  const st = node.__interactive_crop_state;
+  const answer = await postDecision({ prompt_id: st.prompt_id, node_id: st.node_id, action: "passthrough" });
+  if (answer.unsent) {
+    reopenSession(node);
+    return;
+  }
+  if (!answer.ok) {
+    endResolvedSession(node, null);
+    return;
+  }
+  st.result = { kind: "passthrough", w: st.imgW, h: st.imgH };
+  st.sessionActive = false;
+  ACTIVE_SESSIONS.delete(node);
+  node.setDirtyCanvas(true, true);
+}
 
-    const drawX = x + Math.round((w - drawW) / 2);
-    const drawY = y;
+async function submitCancel(node) {
+  const st = node.__interactive_crop_state;
+  if (!isSessionInteractive(st)) return;
 
-    st.drawBox = { x: drawX, y: drawY, w: drawW, h: drawH };
-    st.scale = drawW / st.imgW;
+  st.submitted = true;
+  node.setDirtyCanvas(true, true);
 
-    // frame
-    ctx.save();
-    ctx.fillStyle = "rgba(0,0,0,0.25)";
-    ctx.strokeStyle = "rgba(255,255,255,0.12)";
-    ctx.lineWidth = 1;
-    ctx.fillRect(drawX - 2, drawY - 2, drawW + 4, drawH + 4);
-    ctx.strokeRect(drawX - 2, drawY - 2, drawW + 4, drawH + 4);
-    ctx.restore();
+  const answer = await postDecision({ prompt_id: st.prompt_id, node_id: st.node_id, action: "cancel" });
+  if (answer.unsent) {
+    reopenSession(node);
+    return;
+  }
+  if (!answer.ok) {
+    endResolvedSession(node, null);
+    return;
+  }
 
-    // base image
-    ctx.drawImage(st.img, drawX, drawY, drawW, drawH);
+  st.result = { kind: "cancel" };
+  st.sessionActive = false;
+  ACTIVE_SESSIONS.delete(node);
+  node.setDirtyCanvas(true, true);
+}
 
-    // selection overlay (dim outside, keep inside visible)
-    if (st.rect) {
-      const rectDraw = {
-        x: st.rect.x * st.scale,
-        y: st.rect.y * st.scale,
-        w: st.rect.w * st.scale,
-        h: st.rect.h * st.scale,
-      };
+const NOTICE_MS = 6000;
 
-      const rx = drawX + rectDraw.x;
-      const ry = drawY + rectDraw.y;
-      const rw = rectDraw.w;
-      const rh = rectDraw.h;
+function showNotice(node, text, st = node.__interactive_crop_state) {
+  // One line in front of the session hint, for a few seconds. `st` is the node's session state.
+  if (!st) return;
+  st.notice = { text, until: Date.now() + NOTICE_MS };
+  node.setDirtyCanvas(true, true);
+  setTimeout(() => node.setDirtyCanvas(true, false), NOTICE_MS + 50);
+}
 
-      ctx.save();
-      ctx.fillStyle = "rgba(0,0,0,0.45)";
-      ctx.fillRect(drawX, drawY, drawW, drawH);
-      ctx.restore();
+function reopenSession(node) {
+  // The answer never reached the server, so the pause is still open: let the user try again.
+  const st = node.__interactive_crop_state;
+  st.submitted = false;
+  st.result = null;
+  showNotice(node, "Could not reach the server; nothing was sent.");
+}
 
-      ctx.save();
-      ctx.beginPath();
-      ctx.rect(rx, ry, rw, rh);
-      ctx.clip();
-      ctx.drawImage(st.img, drawX, drawY, drawW, drawH);
-      ctx.restore();
+function endResolvedSession(node, action) {
+  // The pause was answered outside this tab (another tab, or a script via the HTTP API); stop editing.
+  // `action` is what was chosen, when known.
+  const st = node.__interactive_crop_state;
+  if (ACTIVE_DRAG_NODE === node) forceReleaseDrag();
+  st.result = { kind: "external", action };
+  st.sessionActive = false;
+  ACTIVE_SESSIONS.delete(node);
+  refreshPendingPanel();
+  node.setDirtyCanvas(true, true);
+}
 
-      ctx.save();
-      ctx.strokeStyle = "rgba(255,255,255,0.95)";
-      ctx.lineWidth = 1;
-      ctx.strokeRect(rx + 0.5, ry + 0.5, rw, rh);
-      ctx.restore();
+// -------------------------
+// Keyboard
+// -------------------------
+const NUDGE_STEP = 1;
+const NUDGE_STEP_LARGE = 10;
+let NUDGE_NODE = null; // session whose arrow-key nudge is committed when the key is released
+
+function isEditableTarget(target) {
+  if (!target) return false;
+  if (target.isContentEditable) return true;
+  const tag = String(target.tagName ?? "").toLowerCase();
+  return tag === "input" || tag === "textarea" || tag === "select";
+}
 
-      // Resize handles
-      ctx.save();
-      ctx.fillStyle = "rgba(255,255,255,0.95)";
-      ctx.strokeStyle = "rgba(0,0,0,0.55)";
-      ctx.lineWidth = 1;
-      for (const h of getRectHandles(rectDraw)) {
-        const hx = drawX + h.x;
-        const hy = drawY + h.y;
-        const s = HANDLE_HALF;
-        ctx.fillRect(Math.round(hx - s), Math.round(hy - s), s * 2, s * 2);
-        ctx.strokeRect(Math.round(hx - s) + 0.5, Math.round(hy - s) + 0.5, s * 2, s * 2);
+function findKeyboardSessionNode() {
+  // Keyboard input goes to the open editor dialog, else to a session on the node the user has selected.
+  if (EDITOR && isSessionInteractive(EDITOR.st)) return EDITOR.node;
+  for (const node of ACTIVE_SESSIONS) {
+    const st = node?.__interactive_crop_state;
+    if (isSessionInteractive(st) && isNodeSelected(node)) return node;
+  }
+  return null;
+}
+
+function fullImageRect(st) {
+  let r = { x: 0, y: 0, w: st.imgW, h: st.imgH };
+  if (st.aspectRatio) {
+    // Largest centered rect with the locked ratio.
+    let w = st.imgW;
+    let h = w / st.aspectRatio;
+    if (h > st.imgH) {
+      h = st.imgH;
+      w = h * st.aspectRatio;
+    }
+    r = { x: (st.imgW - w) / 2, y: (st.imgH - h) / 2, w, h };
+  }
+  return snapRectToMultiple(r, st.snap, st.imgW, st.imgH, st.aspectRatio);
+}
+
+function nudgeRect(st, dx, dy) {
+  return inExtent(st, normalizeRect(st.rect), (r, boxW, boxH) => {
+    if (r.angle) return clampRectToBox({ ...r, x: r.x + dx, y: r.y + dy }, boxW, boxH);
+    r.x = clamp(r.x + dx, 0, boxW - r.w);
+    r.y = clamp(r.y + dy, 0, boxH - r.h);
+    return r;
+  });
+}
+
+function resizeRectBy(st, dw, dh) {
+  const r = normalizeRect(st.rect);
+  const ratio = st.aspectRatio;
+  if (st.snap > 1) {
+    // One step = one snap multiple, otherwise snapping would undo the change.
+    dw = Math.sign(dw) * st.snap;
+    dh = Math.sign(dh) * st.snap;
+  }
+  const c = rectCenter(r);
+  // Targets are computed upright; rotated rects expect the pointer in image space.
+  const toImage = (x, y) => (r.angle ? rotatePoint(x, y, c.x, c.y, r.angle) : { x, y });
+  if (ratio) {
+    // Drive the bottom-right corner so applyResize keeps the locked ratio.
+    const w = dw !== 0 ? r.w + dw : (r.h + dh) * ratio;
+    const h = dw !== 0 ? w / ratio : r.h + dh;
+    const p = toImage(r.x + w, r.y + h);
+    return inExtent(st, r, (rr, boxW, boxH, ext) =>
+      snapRectToMultiple(applyResize(rr, "se", p.x - ext.x, p.y - ext.y, boxW, boxH, ratio), st.snap, boxW, boxH, ratio, "nw")
+    );
+  }
+  const handle = dw !== 0 ? "e" : "s";
+  const p = toImage(r.x + r.w + dw, r.y + r.h + dh);
+  return inExtent(st, r, (rr, boxW, boxH, ext) =>
+    snapRectToMultiple(applyResize(rr, handle, p.x - ext.x, p.y - ext.y, boxW, boxH, null), st.snap, boxW, boxH, null, "nw")
+  );
+}
+
+// -------------------------
+// Suggested crop
+// -------------------------
+// Computed client-side from the preview: trim uniform borders (letterboxing), then, with a
+// locked ratio, slide the largest window of that ratio to where the edge energy is highest.
+const SUGGEST_MAX_SIDE = 512; // analysis resolution
+const SUGGEST_BORDER_TOLERANCE = 24; // per channel, 0..255
+const SUGGEST_BORDER_SHARE = 0.98; // share of a line that must match the border color
+const SUGGEST_ENERGY_TRIM = 0.02; // free aspect without borders: edge energy dropped on each side
+const AUTO_SUGGEST_SETTING = "InteractiveCrop.AutoSuggest";
+
+function sampleImage(img, imgW, imgH) {
+  const k = Math.min(1, SUGGEST_MAX_SIDE / Math.max(imgW, imgH));
+  const w = Math.max(1, Math.round(imgW * k));
+  const h = Math.max(1, Math.round(imgH * k));
+  const c = document.createElement("canvas");
+  c.width = w;
+  c.height = h;
+  const cctx = c.getContext("2d", { willReadFrequently: true });
+  if (!cctx) return null;
+  cctx.drawImage(img, 0, 0, w, h);
+  try {
+    return { data: cctx.getImageData(0, 0, w, h).data, w, h };
+  } catch {
+    return null; // tainted canvas
+  }
+}
+
+function linePixels(px, horizontal, index, from, to) {
+  // Byte offsets of row (horizontal) or column `index`, limited to [from, to).
+  const out = [];
+  for (let j = from; j < to; j++) out.push(horizontal ? (index * px.w + j) * 4 : (j * px.w + index) * 4);
+  return out;
+}
+
+function trimUniformBorders(px) {
+  // Content box in sample pixels; each side is cut while its lines match that side's outermost line.
+  const { data } = px;
+  const near = (o, ref) =>
+    Math.abs(data[o] - ref[0]) <= SUGGEST_BORDER_TOLERANCE &&
+    Math.abs(data[o + 1] - ref[1]) <= SUGGEST_BORDER_TOLERANCE &&
+    Math.abs(data[o + 2] - ref[2]) <= SUGGEST_BORDER_TOLERANCE;
+  const trim = (horizontal, start, step, limit, from, to) => {
+    const first = linePixels(px, horizontal, start, from, to);
+    const ref = [0, 1, 2].map((ch) => first.reduce((sum, o) => sum + data[o + ch], 0) / first.length);
+    let i = start;
+    while (i !== limit) {
+      const line = linePixels(px, horizontal, i, from, to);
+      if (line.filter((o) => near(o, ref)).length < line.length * SUGGEST_BORDER_SHARE) break;
+      i += step;
+    }
+    return i;
+  };
+
+  const y0 = trim(true, 0, 1, px.h, 0, px.w);
+  const y1 = trim(true, px.h - 1, -1, -1, 0, px.w) + 1;
+  if (y1 - y0 < 2) return { x0: 0, y0: 0, x1: px.w, y1: px.h }; // a blank image has no content to find
+  const x0 = trim(false, 0, 1, px.w, y0, y1);
+  const x1 = trim(false, px.w - 1, -1, -1, y0, y1) + 1;
+  if (x1 - x0 < 2) return { x0: 0, y0: 0, x1: px.w, y1: px.h };
+  return { x0, y0, x1, y1 };
+}
+
+function edgeEnergy(px, box) {
+  // Column and row sums of the luminance gradient magnitude inside `box`.
+  const { data, w } = px;
+  const lum = (x, y) => {
+    const o = (y * w + x) * 4;
+    return data[o] * 0.299 + data[o + 1] * 0.587 + data[o + 2] * 0.114;
+  };
+  const cols = new Float64Array(box.x1 - box.x0);
+  const rows = new Float64Array(box.y1 - box.y0);
+  for (let y = box.y0; y < box.y1; y++) {
+    for (let x = box.x0; x < box.x1; x++) {
+      const l = lum(x, y);
+      const e = (x + 1 < box.x1 ? Math.abs(lum(x + 1, y) - l) : 0) + (y + 1 < box.y1 ? Math.abs(lum(x, y + 1) - l) : 0);
+      cols[x - box.x0] += e;
+      rows[y - box.y0] += e;
+    }
+  }
+  return { cols, rows };
+}
+
+function bestWindow(profile, size) {
+  // Start of the `size`-long window with the most energy; ties keep the centered one.
+  size = Math.min(size, profile.length);
+  const prefix = [0];
+  for (const v of profile) prefix.push(prefix[prefix.length - 1] + v);
+  const sum = (i) => prefix[i + size] - prefix[i];
+  let best = Math.floor((profile.length - size) / 2);
+  for (let i = 0; i + size <= profile.length; i++) if (sum(i) > sum(best)) best = i;
+  return best;
+}
+
+function energyTrim(profile) {
+  // [start, end) after dropping SUGGEST_ENERGY_TRIM of the energy from each end.
+  const total = profile.reduce((a, b) => a + b, 0);
+  if (!(total > 0)) return [0, profile.length];
+  const cut = total * SUGGEST_ENERGY_TRIM;
+  let start = 0;
+  let acc = 0;
+  while (start < profile.length - 1 && acc + profile[start] <= cut) {
+    acc += profile[start];
+    start++;
+  }
+  let end = profile.length;
+  acc = 0;
+  while (end > start + 1 && acc + profile[end - 1] <= cut) {
+    acc += profile[end - 1];
+    end--;
+  }
+  return [start, end];
+}
+
+function suggestCrop(st) {
+  // Image-pixel rect for the current frame, or null when the preview can't be read.
+  const px = st.img ? sampleImage(st.img, st.imgW, st.imgH) : null;
+  if (!px) return null;
+
+  const box = trimUniformBorders(px);
+  const trimmed = box.x0 > 0 || box.y0 > 0 || box.x1 < px.w || box.y1 < px.h;
+  const kx = px.w / st.imgW;
+  const ky = px.h / st.imgH;
+  const ratio = st.aspectRatio;
+
+  let x0 = box.x0 / kx;
+  let y0 = box.y0 / ky;
+  let x1 = box.x1 / kx;
+  let y1 = box.y1 / ky;
+
+  if (ratio) {
+    // Largest window of the ratio inside the content; it spans one axis fully and slides along the other.
+    const { cols, rows } = edgeEnergy(px, box);
+    const cw = x1 - x0;
+    const ch = y1 - y0;
+    const w = Math.min(cw, ch * ratio);
+    const h = w / ratio;
+    if (w < cw) x0 += bestWindow(cols, Math.max(1, Math.round(w * kx))) / kx;
+    else y0 += bestWindow(rows, Math.max(1, Math.round(h * ky))) / ky;
+    x1 = Math.min(x0 + w, st.imgW);
+    y1 = Math.min(y0 + h, st.imgH);
+    x0 = x1 - w;
+    y0 = y1 - h;
+  } else if (!trimmed) {
+    const { cols, rows } = edgeEnergy(px, box);
+    const [cx0, cx1] = energyTrim(cols);
+    const [cy0, cy1] = energyTrim(rows);
+    x0 = cx0 / kx;
+    x1 = cx1 / kx;
+    y0 = cy0 / ky;
+    y1 = cy1 / ky;
+  }
+
+  // Round inward so a blurred bar edge in the sample doesn't leave a sliver of border.
+  const r = ratio
+    ? { x: x0, y: y0, w: x1 - x0, h: y1 - y0 }
+    : { x: Math.ceil(x0), y: Math.ceil(y0), w: Math.floor(x1) - Math.ceil(x0), h: Math.floor(y1) - Math.ceil(y0) };
+  if (r.w < 2 || r.h < 2) return null;
+  return snapRectToMultiple(clampRectToBox(r, st.imgW, st.imgH), st.snap, st.imgW, st.imgH, ratio);
+}
+
+function suggestSelection(node) {
+  // Replace the active region with the suggested crop.
+  const st = node.__interactive_crop_state;
+  if (!isSessionInteractive(st) || st.dragging) return false;
+  const rect = suggestCrop(st);
+  if (!rect) return false;
+  st.rect = rect;
+  commitHistory(st);
+  syncRectWidgets(node);
+  node.setDirtyCanvas(true, true);
+  return true;
+}
+
+function autoSuggestEnabled() {
+  try {
+    return !!app.ui?.settings?.getSettingValue?.(AUTO_SUGGEST_SETTING, false);
+  } catch {
+    return false;
+  }
+}
+
+function handleSessionKey(node, e) {
+  const st = node.__interactive_crop_state;
+  const key = e.key;
+  const mod = e.ctrlKey || e.metaKey;
+
+  if (key === "Enter" && !mod && !e.altKey) {
+    submitApply(node);
+    return true;
+  }
+
+  if (key === "Escape") {
+    // First Escape drops every region on every frame, a second one cancels the run.
+    if (collectFrameRegions(st).some((list) => list.length)) {
+      st.regions = [];
+      st.activeRegion = -1;
+      for (const frame of st.frames) frame.regions = [];
+    } else {
+      submitCancel(node);
+    }
+    return true;
+  }
+
+  if ((key === "Delete" || key === "Backspace") && !mod && st.rect && !st.dragging) {
+    st.rect = null;
+    return true;
+  }
+
+  if (key === "Tab" && !mod && st.regions.length > 1 && !st.dragging) {
+    selectRegion(node, st.activeRegion + (e.shiftKey ? -1 : 1));
+    return true;
+  }
+
+  if (mod && !e.altKey && String(key).toLowerCase() === "z") {
+    undoSelection(node, e.shiftKey);
+    return true;
+  }
+
+  if (mod && !e.altKey && !e.shiftKey && String(key).toLowerCase() === "y") {
+    undoSelection(node, true);
+    return true;
+  }
+
+  if (mod && !e.altKey && String(key).toLowerCase() === "a") {
+    st.rect = fullImageRect(st);
+    return true;
+  }
+
+  if (!mod && !e.altKey && st.frames.length > 1) {
+    if (key === "[" || key === "PageUp") {
+      selectFrame(node, st.frameIndex - 1);
+      return true;
+    }
+    if (key === "]" || key === "PageDown") {
+      selectFrame(node, st.frameIndex + 1);
+      return true;
+    }
+  }
+
+  if (!mod && !e.altKey && String(key).toLowerCase() === "f") {
+    toggleFitView(node);
+    return true;
+  }
+
+  if (!mod && !e.altKey && String(key).toLowerCase() === "s") {
+    suggestSelection(node);
+    return true;
+  }
+
+  if (!mod && !e.altKey && String(key).toLowerCase() === "x") {
+    // Swap the locked ratio between landscape and portrait.
+    st.aspectSwapped = !st.aspectSwapped;
+    return true;
+  }
+
+  if (mod || st.dragging || !st.rect) return false;
+
+  const step = e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+  let dx = 0;
+  let dy = 0;
+  switch (key) {
+    case "ArrowLeft":
+      dx = -step;
+      break;
+    case "ArrowRight":
+      dx = step;
+      break;
+    case "ArrowUp":
+      dy = -step;
+      break;
+    case "ArrowDown":
+      dy = step;
+      break;
+    default:
+      return false;
+  }
+
+  st.rect = e.altKey ? resizeRectBy(st, dx, dy) : nudgeRect(st, dx, dy);
+  return true;
+}
+
+function onGlobalKeyUp(e) {
+  if (e.key === " ") SPACE_HELD = false;
+  if (NUDGE_NODE && String(e.key).startsWith("Arrow")) {
+    commitHistory(NUDGE_NODE.__interactive_crop_state);
+    NUDGE_NODE = null;
+  }
+}
+
+function onGlobalKeyDown(e) {
+  if (e.defaultPrevented || isEditableTarget(e.target)) return;
+
+  const node = findKeyboardSessionNode();
+  if (!node) return;
+
+  // Escape closes the editor dialog first; it only clears / cancels from the node.
+  if (EDITOR && e.key === "Escape") {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    closeEditor();
+    return;
+  }
+
+  // Space over the preview arms panning; keep LiteGraph from starting a canvas drag.
+  if (e.key === " ") {
+    if (!node.__interactive_crop_state.pointerOverPreview) return;
+    SPACE_HELD = true;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    return;
+  }
+
+  if (!handleSessionKey(node, e)) return;
+
+  // Keep LiteGraph/ComfyUI from also acting on the key (e.g. Ctrl+A selecting all nodes).
+  e.preventDefault();
+  e.stopImmediatePropagation();
+  // A held arrow key auto-repeats; the whole nudge becomes one undo step on keyup.
+  if (NUDGE_NODE && NUDGE_NODE !== node) commitHistory(NUDGE_NODE.__interactive_crop_state);
+  if (String(e.key).startsWith("Arrow")) NUDGE_NODE = node;
+  else commitHistory(node.__interactive_crop_state);
+  syncRectWidgets(node);
+  node.setDirtyCanvas(true, true);
+}
+
+function ensureButtons(node) {
+  if (node.__interactive_crop_buttons_added) return;
+  node.__interactive_crop_buttons_added = true;
+
+  const apply = node.addWidget("button", "Apply Crop / Skip", "apply", () => submitApply(node));
+  const cancel = node.addWidget("button", "Cancel Run", "cancel", () => submitCancel(node));
+  const editor = node.addWidget("button", "Open Editor", "editor", () => openEditor(node));
+  const suggest = node.addWidget("button", "Suggest Crop", "suggest", () => suggestSelection(node));
+  const presets = node.addWidget("button", "Presets…", "presets", (_value, _canvas, _node, _pos, event) =>
+    showPresetMenu(node, event)
+  );
+
+  node.__interactive_crop_apply_widget = apply;
+  node.__interactive_crop_cancel_widget = cancel;
+  node.__interactive_crop_editor_widget = editor;
+  node.__interactive_crop_suggest_widget = suggest;
+  node.__interactive_crop_presets_widget = presets;
+
+  setWidgetDisabled(apply, true);
+  setWidgetDisabled(cancel, true);
+  setWidgetDisabled(editor, true);
+  setWidgetDisabled(suggest, true);
+  setWidgetDisabled(presets, true);
+}
+
+// -------------------------
+// Crop presets
+// -------------------------
+// Named crops in relative (0..1) coordinates plus an aspect mode, kept in ComfyUI's user data so
+// every workflow and browser session sees the same library.
+const PRESETS_FILE = "interactive_crop_presets.json";
+const DEFAULT_PRESETS = [
+  { name: "Center square", rect: [0, 0, 1, 1], aspectMode: "1:1" },
+  { name: "Portrait head", rect: [0.25, 0.05, 0.75, 0.6], aspectMode: "custom", customAspect: "4:5" },
+  { name: "Lower third", rect: [0, 2 / 3, 1, 1], aspectMode: "free" },
+];
+
+async function loadPresets() {
+  // Read fresh every time: other tabs, browsers or users may have changed the library since.
+  // Throws when the library can't be read, so nothing gets saved over it.
+  const res = await api.getUserData(PRESETS_FILE);
+  if (res.status === 404) return DEFAULT_PRESETS.map((p) => ({ ...p }));
+  const data = res.ok ? await res.json() : null;
+  if (!Array.isArray(data)) throw new Error(`Interactive Crop: could not read ${PRESETS_FILE}`);
+  return data;
+}
+
+function usablePresets(presets) {
+  return presets.filter((p) => p && typeof p.name === "string" && Array.isArray(p.rect) && p.rect.length >= 4);
+}
+
+async function updatePresets(change) {
+  // Re-read the stored library right before writing, so only this one change is applied to it.
+  const presets = change(await loadPresets());
+  await api.storeUserData(PRESETS_FILE, presets, { overwrite: true, stringify: true, throwOnError: true });
+}
+
+function presetFromSelection(node, st, name) {
+  const r = normalizeRect(st.rect);
+  const rel = (v, size) => Math.round((v / size) * 1e4) / 1e4;
+  const preset = {
+    name,
+    rect: [rel(r.x, st.imgW), rel(r.y, st.imgH), rel(r.x + r.w, st.imgW), rel(r.y + r.h, st.imgH)],
+    aspectMode: String(findWidget(node, "aspect_mode")?.value ?? st.aspectMode),
+  };
+  if (preset.aspectMode === "custom") preset.customAspect = String(findWidget(node, "custom_aspect")?.value ?? st.customAspect);
+  if (st.aspectSwapped) preset.swapped = true;
+  if (rectAngle(r)) preset.angle = rectAngle(r);
+  return preset;
+}
+
+function applyPreset(node, preset) {
+  // Switch the aspect widgets to the preset's and place its rect on the current image.
+  const st = node.__interactive_crop_state;
+  if (!isSessionInteractive(st) || st.dragging) return false;
+
+  const modeWidget = findWidget(node, "aspect_mode");
+  const modes = modeWidget?.options?.values;
+  const mode = String(preset.aspectMode ?? "free");
+  if (modeWidget && (!Array.isArray(modes) || modes.includes(mode))) modeWidget.value = mode;
+  const customWidget = findWidget(node, "custom_aspect");
+  if (customWidget && mode === "custom" && preset.customAspect) customWidget.value = String(preset.customAspect);
+  st.aspectSwapped = !!preset.swapped;
+  const ratio = (st.aspectRatio = readAspectRatio(node, st));
+
+  const [x0, y0, x1, y1] = preset.rect.map(Number);
+  const r = { x: x0 * st.imgW, y: y0 * st.imgH, w: (x1 - x0) * st.imgW, h: (y1 - y0) * st.imgH };
+  if (Number(preset.angle)) r.angle = normalizeAngle(Number(preset.angle));
+  if (!(r.w >= 2 && r.h >= 2)) return false;
+
+  st.rect = inExtent(st, r, (rr, boxW, boxH) => {
+    if (ratio) rr = fitRectToRatio(rr, ratio, boxW, boxH);
+    return snapRectToMultiple(clampRectToBox(rr, boxW, boxH), st.snap, boxW, boxH, ratio);
+  });
+  commitHistory(st);
+  syncRectWidgets(node);
+  node.setDirtyCanvas(true, true);
+  return true;
+}
+
+async function saveSelectionAsPreset(node) {
+  const st = node.__interactive_crop_state;
+  if (!isSessionInteractive(st) || !st.rect) return;
+  const name = window.prompt("Preset name:", "")?.trim();
+  if (!name) return;
+
+  const preset = presetFromSelection(node, st, name);
+  try {
+    await updatePresets((presets) => [...presets.filter((p) => p?.name !== name), preset]);
+    showNotice(node, `Saved preset “${name}”.`);
+  } catch {
+    showNotice(node, `Could not save preset “${name}”.`);
+  }
+}
+
+async function deletePreset(node, name) {
+  try {
+    await updatePresets((presets) => presets.filter((p) => p?.name !== name));
+    showNotice(node, `Deleted preset “${name}”.`);
+  } catch {
+    showNotice(node, `Could not delete preset “${name}”.`);
+  }
+}
+
+async function showPresetMenu(node, event) {
+  // Context menu at the pointer: apply a preset, save the selection, or delete one.
+  const LG = globalThis?.LiteGraph;
+  const st = node.__interactive_crop_state;
+  if (!LG?.ContextMenu || !isSessionInteractive(st)) return;
+
+  // Without the stored library only the built-in presets can be applied; saving is off.
+  let stored = null;
+  try {
+    stored = await loadPresets();
+  } catch {
+    showNotice(node, "Presets could not be loaded; showing the built-in ones.");
+  }
+  const presets = usablePresets(stored ?? DEFAULT_PRESETS);
+  const items = presets.map((p) => ({ content: p.name, callback: () => applyPreset(node, p) }));
+  if (items.length) items.push(null);
+  items.push({
+    content: "Save current as preset…",
+    disabled: !st.rect || !stored,
+    callback: () => saveSelectionAsPreset(node),
+  });
+  if (stored && presets.length) {
+    items.push({
+      content: "Delete preset",
+      has_submenu: true,
+      submenu: { options: presets.map((p) => p.name), callback: (name) => deletePreset(node, name) },
+    });
+  }
+
+  const menu = new LG.ContextMenu(items, { event, title: "Crop presets" });
+  // Stay above the editor dialog.
+  if (menu?.root) menu.root.style.zIndex = "10001";
+}
+
+// -------------------------
+// Numeric rect editor
+// -------------------------
+const RECT_WIDGET_OPTIONS = { min: -16384, max: 16384, step: 10, precision: 0, round: 1, serialize: false };
+
+const RECT_WIDGET_FIELDS = [
+  { key: "x", name: "crop x" },
+  { key: "y", name: "crop y" },
+  { key: "w", name: "crop width" },
+  { key: "h", name: "crop height" },
+  { key: "angle", name: "crop angle", options: { min: -180, max: 180, step: 10, precision: 1, round: 0.1 } },
+];
+
+function rectFromNumericEdit(st, field, value) {
+  const r = st.rect ? normalizeRect(st.rect) : { x: 0, y: 0, w: st.imgW, h: st.imgH };
+  const v = Number(value);
+  if (!Number.isFinite(v)) return r;
+
+  if (field === "angle") {
+    // Rotate about the center; 0 turns the rect back into a plain (clamped) box.
+    const angle = normalizeAngle(v);
+    if (angle) r.angle = angle;
+    else delete r.angle;
+    return inExtent(st, r, (rr, boxW, boxH) => clampRectToBox(rr, boxW, boxH));
+  }
+
+  r[field] = v;
+
+  const ratio = st.aspectRatio;
+  if (ratio && (field === "w" || field === "h")) {
+    if (field === "w") r.h = r.w / ratio;
+    else r.w = r.h * ratio;
+
+    // Shrink uniformly if the edited size no longer fits, so the ratio survives clamping.
+    const ext = selectionExtent(st);
+    const maxW = ext.x + ext.w - clamp(r.x, ext.x, ext.x + ext.w);
+    const maxH = ext.y + ext.h - clamp(r.y, ext.y, ext.y + ext.h);
+    const s = Math.min(1, maxW / Math.max(r.w, 1e-6), maxH / Math.max(r.h, 1e-6));
+    r.w *= s;
+    r.h *= s;
+  }
+
+  return inExtent(st, r, (rr, boxW, boxH) =>
+    snapRectToMultiple(clampRectToBox(rr, boxW, boxH), st.snap, boxW, boxH, ratio, "nw")
+  );
+}
+
+function ensureRectWidgets(node) {
+  if (node.__interactive_crop_rect_widgets_added) return;
+  node.__interactive_crop_rect_widgets_added = true;
+
+  // Session-only widgets: never part of the prompt.
+  node.__interactive_crop_rect_widgets = RECT_WIDGET_FIELDS.map(({ key, name, options }) => {
+    const widget = node.addWidget(
+      "number",
+      name,
+      0,
+      (value) => {
+        const st = node.__interactive_crop_state;
+        if (!isSessionInteractive(st)) return;
+        st.rect = rectFromNumericEdit(st, key, value);
+        commitHistory(st);
+        syncRectWidgets(node);
+        node.setDirtyCanvas(true, true);
+      },
+      { ...RECT_WIDGET_OPTIONS, ...options }
+    );
+    widget.__interactive_crop_field = key;
+    setWidgetDisabled(widget, true);
+    return widget;
+  });
+}
+
+function syncRectWidgets(node) {
+  const widgets = node.__interactive_crop_rect_widgets;
+  if (!widgets) return;
+
+  const st = node.__interactive_crop_state;
+  const r = st?.rect ? normalizeRect(st.rect) : null;
+  for (const widget of widgets) {
+    const key = widget.__interactive_crop_field;
+    if (key === "angle") {
+      widget.value = r ? rectAngle(r) : 0;
+      continue;
+    }
+    widget.value = r ? Math.round(r[key]) : 0;
+    if (st && widget.options) widget.options.max = key === "x" || key === "w" ? st.imgW : st.imgH;
+  }
+}
+
+// -------------------------
+// Regions
+// -------------------------
+// Region 1 keeps the original white outline so single-region sessions look unchanged.
+const REGION_COLORS = [
+  "rgba(255,255,255,0.95)",
+  "rgba(255,196,0,0.95)",
+  "rgba(0,200,255,0.95)",
+  "rgba(255,90,160,0.95)",
+  "rgba(120,230,90,0.95)",
+  "rgba(190,130,255,0.95)",
+];
+
+function regionColor(index) {
+  return REGION_COLORS[index % REGION_COLORS.length];
+}
+
+function cloneRegions(regions) {
+  return (regions ?? []).map((r) => ({ ...r }));
+}
+
+function setActiveRegionRect(st, rect) {
+  // `st.rect` is the active region; null removes it, a rect with no active region adds one.
+  if (!rect) {
+    if (st.activeRegion >= 0) st.regions.splice(st.activeRegion, 1);
+    st.activeRegion = st.regions.length ? Math.min(st.activeRegion, st.regions.length - 1) : -1;
+    if (st.activeRegion < 0 && st.regions.length) st.activeRegion = 0;
+    return;
+  }
+  if (st.activeRegion < 0 || st.activeRegion >= st.regions.length) {
+    st.regions.push(rect);
+    st.activeRegion = st.regions.length - 1;
+    return;
+  }
+  st.regions[st.activeRegion] = rect;
+}
+
+function regionAtPoint(st, imgX, imgY) {
+  // Prefer the active region, then the topmost (last drawn) one.
+  const contains = (r) => rectContainsPoint(r, imgX, imgY);
+  if (contains(st.regions[st.activeRegion])) return st.activeRegion;
+  for (let i = st.regions.length - 1; i >= 0; i--) {
+    if (contains(st.regions[i])) return i;
+  }
+  return -1;
+}
+
+function selectRegion(node, index) {
+  const st = node.__interactive_crop_state;
+  if (!st || !st.regions.length) return;
+  st.activeRegion = (index + st.regions.length) % st.regions.length;
+  syncRectWidgets(node);
+  node.setDirtyCanvas(true, true);
+}
+
+// -------------------------
+// Undo / redo
+// -------------------------
+// Snapshots of every frame's regions. A snapshot is committed after each finished
+// edit (drag end, numeric edit, key, aspect/snap reshape); undo steps back through them.
+const HISTORY_LIMIT = 100;
+
+function snapshotSelection(st) {
+  return {
+    frames: collectFrameRegions(st).map(cloneRegions),
+    frameIndex: st.frameIndex,
+    activeRegion: st.activeRegion,
+    sameForAll: st.sameForAll,
+  };
+}
+
+function snapshotKey(snap) {
+  // Selecting another region or frame alone is not an undo step.
+  return JSON.stringify([snap.frames, snap.sameForAll]);
+}
+
+function resetHistory(st) {
+  st.history = { undo: [], redo: [], base: snapshotSelection(st) };
+}
+
+function commitHistory(st) {
+  if (!st?.history || st.dragging) return;
+  const snap = snapshotSelection(st);
+  const h = st.history;
+  if (snapshotKey(snap) === snapshotKey(h.base)) {
+    h.base = snap;
+    return;
+  }
+  h.undo.push(h.base);
+  if (h.undo.length > HISTORY_LIMIT) h.undo.shift();
+  h.redo = [];
+  h.base = snap;
+  saveDraft(st);
+  shareSelection(st);
+}
+
+function restoreSnapshot(st, snap) {
+  st.sameForAll = snap.sameForAll;
+  st.frames.forEach((frame, i) => (frame.regions = cloneRegions(snap.frames[i] ?? [])));
+  st.frameIndex = clamp(snap.frameIndex, 0, st.frames.length - 1);
+  st.imgUrl = st.frames[st.frameIndex].imgUrl;
+  if (st.frames[st.frameIndex].img) st.img = st.frames[st.frameIndex].img;
+  st.regions = cloneRegions(snap.frames[st.frameIndex] ?? []);
+  st.activeRegion = st.regions.length ? clamp(snap.activeRegion, 0, st.regions.length - 1) : -1;
+}
+
+function undoSelection(node, redo = false) {
+  const st = node.__interactive_crop_state;
+  if (!isSessionInteractive(st) || st.dragging || !st.history) return false;
+  commitHistory(st);
+
+  const h = st.history;
+  const from = redo ? h.redo : h.undo;
+  const to = redo ? h.undo : h.redo;
+  if (!from.length) return false;
+  to.push(h.base);
+  h.base = from.pop();
+  restoreSnapshot(st, h.base);
+  saveDraft(st);
+  shareSelection(st);
+
+  syncRectWidgets(node);
+  node.setDirtyCanvas(true, true);
+  return true;
+}
+
+function drawHistoryControls(ctx, node, st) {
+  // Small ↶ / ↷ buttons in the preview's bottom-left corner.
+  const box = st.drawBox;
+  const size = 16;
+  const y = box.y + box.h - size - 4;
+  const buttons = [
+    { label: "↶", enabled: !!st.history?.undo.length, onClick: () => undoSelection(node) },
+    { label: "↷", enabled: !!st.history?.redo.length, onClick: () => undoSelection(node, true) },
+  ];
+
+  ctx.save();
+  ctx.font = "12px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  buttons.forEach((b, i) => {
+    const x = box.x + 4 + i * (size + 2);
+    ctx.fillStyle = "rgba(0,0,0,0.6)";
+    ctx.fillRect(x, y, size, size);
+    ctx.fillStyle = b.enabled ? "rgba(255,255,255,0.9)" : "rgba(255,255,255,0.3)";
+    ctx.fillText(b.label, x + size / 2, y + size / 2 + 1);
+    if (b.enabled) addHitRegion(st, x, y, size, size, b.onClick);
+  });
+  ctx.restore();
+}
+
+// -------------------------
+// Multi-tab sync
+// -------------------------
+// Every tab connected to the server gets the same sessions. Each committed edit is shared
+// through the backend, and the other tabs take it over as an undoable step (last edit wins).
+const REMOTE_EDIT_BADGE_MS = 4000;
+const SHARE_INTERVAL_MS = 250; // at most one shared edit per interval; the last one always goes out
+
+function shareSelection(st) {
+  if (!st.sessionActive || st.submitted || st.shareTimer) return;
+  // A post is already scheduled when shareTimer is set; it sends whatever is newest by then.
+  const wait = Math.max(0, (st.sharedAt ?? 0) + SHARE_INTERVAL_MS - Date.now());
+  st.shareTimer = setTimeout(() => {
+    st.shareTimer = null;
+    st.sharedAt = Date.now();
+    postSelection(st);
+  }, wait);
+}
+
+function postSelection(st) {
+  if (!st.sessionActive || st.submitted) return;
+  const { frames, sameForAll } = st.history.base;
+  api
+    .fetchApi("/interactive_crop/selection", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        prompt_id: st.prompt_id,
+        node_id: st.node_id,
+        client_id: api.clientId ?? "",
+        selection: { frames, sameForAll },
+      }),
+    })
+    .catch(() => {});
+}
+
+function validSelection(st, selection) {
+  // A shared or stored selection for this session, as a snapshot; null when it doesn't fit the batch.
+  if (!Array.isArray(selection?.frames) || selection.frames.length !== st.frames.length) return null;
+  return {
+    frames: selection.frames.map((list) => (Array.isArray(list) ? cloneRegions(list) : [])),
+    frameIndex: selection.frameIndex ?? st.frameIndex,
+    activeRegion: selection.activeRegion ?? 0,
+    sameForAll: !!selection.sameForAll,
+  };
+}
+
+function applyRemoteSelection(node, selection) {
+  const st = node.__interactive_crop_state;
+  // A drag in progress wins; its commit is shared when it ends.
+  if (!isSessionInteractive(st) || st.dragging || !st.history) return;
+  const snap = validSelection(st, { ...selection, frameIndex: st.frameIndex, activeRegion: st.activeRegion });
+  if (!snap) return;
+
+  const h = st.history;
+  if (snapshotKey(snap) === snapshotKey(h.base)) return;
+  h.undo.push(h.base);
+  if (h.undo.length > HISTORY_LIMIT) h.undo.shift();
+  h.redo = [];
+  h.base = snap;
+  restoreSnapshot(st, snap);
+  saveDraft(st);
+
+  st.remoteEditAt = Date.now();
+  syncRectWidgets(node);
+  node.setDirtyCanvas(true, true);
+  // Repaint once more to take the badge down.
+  setTimeout(() => node.setDirtyCanvas(true, false), REMOTE_EDIT_BADGE_MS + 50);
+}
+
+function drawRemoteEditBadge(ctx, st, box = st.drawBox) {
+  if (!st.remoteEditAt || Date.now() - st.remoteEditAt > REMOTE_EDIT_BADGE_MS) return;
+  const label = "Edited by another client";
+
+  ctx.save();
+  ctx.font = "11px sans-serif";
+  const w = Math.ceil(ctx.measureText(label).width) + 10;
+  const h = 16;
+  const x = box.x + box.w - w - 4;
+  const y = box.y + 4;
+  ctx.fillStyle = "rgba(255,160,0,0.85)";
+  ctx.fillRect(x, y, w, h);
+  ctx.fillStyle = "rgba(0,0,0,0.9)";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(label, x + w / 2, y + h / 2);
+  ctx.restore();
+}
+
+// -------------------------
+// Batch frames
+// -------------------------
+const FRAME_STRIP_H = 40;
+const FRAME_TOGGLE_H = 18;
+
+function loadFrameImages(node, st, { onlyBroken = false } = {}) {
+  st.frames.forEach((frame, i) => {
+    const img0 = frame.img;
+    const broken = !img0 || !img0.complete || img0.naturalWidth === 0 || img0.naturalHeight === 0;
+    if (onlyBroken && !broken) return;
+    if (!frame.imgUrl) return;
+
+    const img = new Image();
+    img.onload = () => {
+      frame.img = img;
+      if (i === st.frameIndex) {
+        st.img = img;
+        st.ready = true;
+        // Once per session, and never over a selection the user already started.
+        if (!st.autoSuggested && !st.regions.length && autoSuggestEnabled()) suggestSelection(node);
+        st.autoSuggested = true;
+      }
+      node.setDirtyCanvas(true, true);
+    };
+    img.src = frame.imgUrl;
+  });
+}
+
+function frameRegions(st, index) {
+  if (st.sameForAll || index === st.frameIndex) return st.regions;
+  return st.frames[index]?.regions ?? [];
+}
+
+function collectFrameRegions(st) {
+  return st.frames.map((_, i) => frameRegions(st, i));
+}
+
+function selectFrame(node, index) {
+  const st = node.__interactive_crop_state;
+  if (!st || st.frames.length < 2) return;
+
+  const next = clamp(index, 0, st.frames.length - 1);
+  if (next === st.frameIndex) return;
+
+  if (!st.sameForAll) {
+    st.frames[st.frameIndex].regions = cloneRegions(st.regions);
+    // A frame that has no regions of its own yet starts from the ones we are leaving.
+    const own = st.frames[next].regions;
+    st.regions = cloneRegions(own ?? st.regions);
+    st.activeRegion = st.regions.length ? clamp(st.activeRegion, 0, st.regions.length - 1) : -1;
+  }
+
+  st.frameIndex = next;
+  st.imgUrl = st.frames[next].imgUrl;
+  if (st.frames[next].img) st.img = st.frames[next].img;
+
+  syncRectWidgets(node);
+  node.setDirtyCanvas(true, true);
+}
+
+function setSameForAll(node, on) {
+  const st = node.__interactive_crop_state;
+  if (!st) return;
+
+  st.sameForAll = !!on;
+  // Either way, every frame starts from the selection currently on screen.
+  for (const frame of st.frames) frame.regions = cloneRegions(st.regions);
+  commitHistory(st);
+  node.setDirtyCanvas(true, true);
+}
+
+function addHitRegion(st, x, y, w, h, onClick) {
+  st.hitRegions.push({ x, y, w, h, onClick });
+}
+
+function hitTestRegions(st, lx, ly) {
+  for (const r of st.hitRegions ?? []) {
+    if (lx >= r.x && lx <= r.x + r.w && ly >= r.y && ly <= r.y + r.h) return r;
+  }
+  return null;
+}
+
+function drawFrameStrip(ctx, node, st, x, y, w) {
+  const n = st.frames.length;
+  const arrowW = 16;
+  const gap = 4;
+  const thumbH = FRAME_STRIP_H - 8;
+  const imgAR = st.imgW / st.imgH;
+  const thumbW = clamp(Math.round(thumbH * imgAR), 18, 64);
+
+  const innerX = x + arrowW + gap;
+  const innerW = Math.max(thumbW, w - (arrowW + gap) * 2);
+  const visible = clamp(Math.floor((innerW + gap) / (thumbW + gap)), 1, n);
+  const start = clamp(st.frameIndex - Math.floor(visible / 2), 0, n - visible);
+  const stripW = visible * thumbW + (visible - 1) * gap;
+  const stripX = innerX + Math.round((innerW - stripW) / 2);
+  const thumbY = y + 4;
+
+  ctx.save();
+  ctx.font = "14px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  // prev / next
+  const arrows = [
+    { label: "‹", ax: x, delta: -1, enabled: st.frameIndex > 0 },
+    { label: "›", ax: x + w - arrowW, delta: 1, enabled: st.frameIndex < n - 1 },
+  ];
+  for (const a of arrows) {
+    ctx.fillStyle = a.enabled ? "rgba(255,255,255,0.85)" : "rgba(255,255,255,0.25)";
+    ctx.fillText(a.label, a.ax + arrowW / 2, thumbY + thumbH / 2);
+    if (a.enabled) addHitRegion(st, a.ax, thumbY, arrowW, thumbH, () => selectFrame(node, st.frameIndex + a.delta));
+  }
+
+  for (let i = start; i < start + visible; i++) {
+    const tx = stripX + (i - start) * (thumbW + gap);
+    const frame = st.frames[i];
+
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    ctx.fillRect(tx, thumbY, thumbW, thumbH);
+    if (frame.img) ctx.drawImage(frame.img, tx, thumbY, thumbW, thumbH);
+
+    const sx = thumbW / st.imgW;
+    const sy = thumbH / st.imgH;
+    frameRegions(st, i).forEach((r, k) => {
+      if (r.w < 2 || r.h < 2) return;
+      ctx.strokeStyle = regionColor(k);
+      ctx.lineWidth = 1;
+      ctx.strokeRect(tx + r.x * sx + 0.5, thumbY + r.y * sy + 0.5, r.w * sx, r.h * sy);
+    });
+
+    ctx.strokeStyle = i === st.frameIndex ? "rgba(90,170,255,1)" : "rgba(255,255,255,0.15)";
+    ctx.lineWidth = i === st.frameIndex ? 2 : 1;
+    ctx.strokeRect(tx, thumbY, thumbW, thumbH);
+
+    addHitRegion(st, tx, thumbY, thumbW, thumbH, () => selectFrame(node, i));
+  }
+
+  // "same crop for all" toggle + frame counter
+  const rowY = y + FRAME_STRIP_H + FRAME_TOGGLE_H / 2;
+  ctx.font = "12px sans-serif";
+  ctx.textAlign = "left";
+  ctx.fillStyle = "rgba(255,255,255,0.85)";
+  const toggleLabel = `${st.sameForAll ? "☑" : "☐"} Same crop for all frames`;
+  ctx.fillText(toggleLabel, x, rowY);
+  const toggleW = ctx.measureText(toggleLabel).width;
+  addHitRegion(st, x, rowY - FRAME_TOGGLE_H / 2, toggleW, FRAME_TOGGLE_H, () => setSameForAll(node, !st.sameForAll));
+
+  ctx.textAlign = "right";
+  ctx.fillStyle = "rgba(255,255,255,0.6)";
+  ctx.fillText(`Frame ${st.frameIndex + 1} / ${n}`, x + w, rowY);
+  ctx.restore();
+
+  return FRAME_STRIP_H + FRAME_TOGGLE_H;
+}
+
+// -------------------------
+// Remembered crop
+// -------------------------
+// The last applied regions live in a node property, so they are saved with the workflow.
+// The next session pre-fills them when the image has the same size (pixel rects) or the
+// same aspect (relative rects); the backend reads the same property for auto_apply_last.
+const LAST_CROP_PROPERTY = "interactive_crop_last"; // matches the backend
+const SIMILAR_ASPECT_TOLERANCE = 0.01; // matches the backend
+
+function storeLastCrop(node, st, frameRegionsOut) {
+  const frames = frameRegionsOut.map((list) => list.map((d) => [d.x0, d.y0, d.x1, d.y1, d.angle ?? 0]));
+  const rel = (v, size) => Math.round((v / size) * 1e6) / 1e6;
+  node.properties = node.properties ?? {};
+  node.properties[LAST_CROP_PROPERTY] = {
+    width: st.imgW,
+    height: st.imgH,
+    frames,
+    relative: frames.map((list) =>
+      list.map(([x0, y0, x1, y1, angle]) => [rel(x0, st.imgW), rel(y0, st.imgH), rel(x1, st.imgW), rel(y1, st.imgH), angle])
+    ),
+  };
+}
+
+function storedLastCrop(node, imgW, imgH) {
+  // Per stored frame, the regions as {x, y, w, h[, angle]} fitted to an imgW x imgH image, or null.
+  const stored = node.properties?.[LAST_CROP_PROPERTY];
+  const sw = Number(stored?.width ?? 0);
+  const sh = Number(stored?.height ?? 0);
+  if (!(sw > 0 && sh > 0 && imgW > 0 && imgH > 0)) return null;
+
+  let frames = null;
+  let sx = 1;
+  let sy = 1;
+  if (sw === imgW && sh === imgH) {
+    frames = stored.frames;
+  } else if (Math.abs(imgW / imgH / (sw / sh) - 1) <= SIMILAR_ASPECT_TOLERANCE) {
+    frames = stored.relative;
+    sx = imgW;
+    sy = imgH;
+  }
+  if (!Array.isArray(frames) || !frames.length) return null;
+
+  const out = frames.map((list) =>
+    (Array.isArray(list) ? list : [])
+      .map((v) => (Array.isArray(v) ? v.map(Number) : []))
+      .filter((v) => v.length >= 4 && v.slice(0, 4).every(Number.isFinite))
+      .map(([x0, y0, x1, y1, angle]) => {
+        const r = {
+          x: Math.round(x0 * sx),
+          y: Math.round(y0 * sy),
+          w: Math.round(x1 * sx) - Math.round(x0 * sx),
+          h: Math.round(y1 * sy) - Math.round(y0 * sy),
+        };
+        if (angle) r.angle = angle;
+        return r;
+      })
+  );
+  return out.some((list) => list.length) ? out : null;
+}
+
+function restoreLastCrop(node, st) {
+  // Pre-fill a new session with the remembered crop; returns whether anything was restored.
+  const stored = storedLastCrop(node, st.imgW, st.imgH);
+  if (!stored) return false;
+
+  const fit = (list) => list.map((r) => inExtent(st, r, (local, boxW, boxH) => clampRectToBox(local, boxW, boxH)));
+  const perFrame = stored.length === st.frames.length ? stored.map(fit) : st.frames.map(() => fit(stored[0]));
+  const key = (list) => JSON.stringify(list);
+  st.sameForAll = perFrame.every((list) => key(list) === key(perFrame[0]));
+  if (!st.sameForAll) perFrame.forEach((list, i) => (st.frames[i].regions = cloneRegions(list)));
+  st.regions = cloneRegions(perFrame[0]);
+  st.activeRegion = st.regions.length ? 0 : -1;
+  return true;
+}
+
+// -------------------------
+// Timeout countdown
+// -------------------------
+const COUNTDOWN_TICK_MS = 500;
+const COUNTDOWN_WARN_MS = 30 * 1000;
+
+const TIMEOUT_ACTION_TEXT = {
+  fail: "the run fails",
+  passthrough: "the image passes through",
+  apply_last: "the last crop is applied",
+};
+
+const EXTERNAL_ACTION_TEXT = {
+  continue: "cropped",
+  passthrough: "skipped",
+  cancel: "run cancelled",
+};
+
+function formatRemaining(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+}
+
+function startCountdown(node) {
+  // The canvas only repaints when dirty, so tick while a deadline is pending.
+  clearInterval(node.__interactive_crop_countdown);
+  const st = node.__interactive_crop_state;
+  if (!st?.deadline) return;
+
+  node.__interactive_crop_countdown = setInterval(() => {
+    if (node.__interactive_crop_state !== st || !st.sessionActive) {
+      clearInterval(node.__interactive_crop_countdown);
+      return;
+    }
+    if (!st.submitted && Date.now() >= st.deadline) expireSession(node);
+    node.setDirtyCanvas(true, false);
+  }, COUNTDOWN_TICK_MS);
+}
+
+function expireSession(node) {
+  // The backend has already resolved the wait (see on_timeout); just stop editing.
+  const st = node.__interactive_crop_state;
+  if (ACTIVE_DRAG_NODE === node) forceReleaseDrag();
+  st.result = { kind: "timeout", action: st.onTimeout };
+  st.sessionActive = false;
+  ACTIVE_SESSIONS.delete(node);
+  node.setDirtyCanvas(true, true);
+}
+
+function isCountdownWarning(st) {
+  return !!st.deadline && st.deadline - Date.now() <= Math.min(COUNTDOWN_WARN_MS, st.timeoutMs * 0.25);
+}
+
+function drawCountdown(ctx, st, x, y, w) {
+  const remaining = st.deadline - Date.now();
+  const frac = clamp(remaining / Math.max(1, st.timeoutMs), 0, 1);
+  const warn = isCountdownWarning(st);
+
+  ctx.save();
+  ctx.fillStyle = "rgba(255,255,255,0.12)";
+  ctx.fillRect(x, y, w, 3);
+  ctx.fillStyle = warn ? "rgba(235,70,60,0.95)" : "rgba(90,170,255,0.9)";
+  ctx.fillRect(x, y, Math.round(w * frac), 3);
+  ctx.restore();
+}
+
+// -------------------------
+// Editor dialog
+// -------------------------
+// Full-window editor for the active session. It edits the same session state as the
+// node, so both views always show the same regions.
+const EDITOR_PAD = 16;
+const EDITOR_TEXT_H = 40;
+let EDITOR = null;
+
+function openEditor(node) {
+  const st = node.__interactive_crop_state;
+  if (!isSessionInteractive(st)) return;
+  closeEditor();
+  if (ACTIVE_DRAG_NODE === node) forceReleaseDrag();
+
+  const root = document.createElement("div");
+  root.className = "interactive-crop-editor";
+  Object.assign(root.style, {
+    position: "fixed",
+    inset: "0",
+    zIndex: 10000,
+    display: "flex",
+    flexDirection: "column",
+    background: "rgba(0,0,0,0.85)",
+    color: "#ddd",
+    font: "13px sans-serif",
+  });
+
+  const bar = document.createElement("div");
+  Object.assign(bar.style, { display: "flex", alignItems: "center", gap: "6px", padding: "8px 12px" });
+
+  const title = document.createElement("div");
+  title.textContent = `${node.title || node.type} #${node.id}`;
+  Object.assign(title.style, { flex: "1", fontWeight: "bold" });
+  bar.append(title);
+
+  let frameLabel = null;
+  if (st.frames.length > 1) {
+    frameLabel = document.createElement("span");
+    bar.append(
+      domButton("◀", "Previous frame", () => selectFrame(node, st.frameIndex - 1)),
+      frameLabel,
+      domButton("▶", "Next frame", () => selectFrame(node, st.frameIndex + 1))
+    );
+  }
+
+  bar.append(
+    domButton("↶", "Undo (Ctrl+Z)", () => undoSelection(node)),
+    domButton("↷", "Redo (Ctrl+Shift+Z)", () => undoSelection(node, true)),
+    domButton("Suggest", "Suggest a crop from the image content (S)", () => suggestSelection(node)),
+    domButton("Presets…", "Apply or save a named crop preset", (e) => showPresetMenu(node, e)),
+    domButton("Apply Crop / Skip", "Apply the selection (skips when there is none)", () => submitApply(node)),
+    domButton("Skip", "Pass the original image through", () => submitSkip(node)),
+    domButton("Cancel Run", "Cancel the run", () => submitCancel(node)),
+    domButton("Close", "Back to the node (Esc)", () => closeEditor())
+  );
+
+  const canvas = document.createElement("canvas");
+  Object.assign(canvas.style, { flex: "1", minHeight: "0", width: "100%", cursor: "crosshair", touchAction: "none" });
+
+  root.append(bar, canvas);
+  document.body.append(root);
+
+  EDITOR = { node, st, root, canvas, ctx: canvas.getContext("2d"), frameLabel, view: null, raf: 0 };
+
+  canvas.addEventListener("pointerdown", onEditorPointerDown);
+  canvas.addEventListener("pointermove", onEditorPointerMove);
+  canvas.addEventListener("pointerup", onEditorPointerUp);
+  canvas.addEventListener("pointercancel", onEditorPointerUp);
+
+  // Redraw every frame: keyboard edits, widget edits and frame loads all show up without extra wiring.
+  const tick = () => {
+    if (!EDITOR) return;
+    if (node.__interactive_crop_state !== st || !st.sessionActive || st.submitted) {
+      closeEditor();
+      return;
+    }
+    drawEditor();
+    EDITOR.raf = requestAnimationFrame(tick);
+  };
+  tick();
+}
+
+function closeEditor() {
+  if (!EDITOR) return;
+  const { node, st, root, raf } = EDITOR;
+  cancelAnimationFrame(raf);
+  if (st.dragging) endSelectionDrag(node, st);
+  root.remove();
+  EDITOR = null;
+
+  // The node preview picks up whatever was edited in the dialog.
+  syncRectWidgets(node);
+  node.setDirtyCanvas(true, true);
+}
+
+function drawEditor() {
+  const { st, canvas, ctx, frameLabel } = EDITOR;
+  if (!ctx) return;
+
+  const bounds = canvas.getBoundingClientRect();
+  const dpr = window.devicePixelRatio || 1;
+  const pw = Math.max(1, Math.round(bounds.width * dpr));
+  const ph = Math.max(1, Math.round(bounds.height * dpr));
+  if (canvas.width !== pw || canvas.height !== ph) {
+    canvas.width = pw;
+    canvas.height = ph;
+  }
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, bounds.width, bounds.height);
+  if (frameLabel) frameLabel.textContent = `Frame ${st.frameIndex + 1} / ${st.frames.length}`;
+
+  // Fit the whole image (plus the expand margin) into the window.
+  const ext = selectionExtent(st);
+  const availW = Math.max(10, bounds.width - EDITOR_PAD * 2);
+  const availH = Math.max(10, bounds.height - EDITOR_PAD * 2 - EDITOR_TEXT_H);
+  const scale = Math.min(availW / ext.w, availH / ext.h);
+  const w = ext.w * scale;
+  const h = ext.h * scale;
+  const box = { x: (bounds.width - w) / 2, y: EDITOR_PAD, w, h };
+  EDITOR.view = { drawBox: box, scale, viewX: ext.x, viewY: ext.y, screenScale: 1 };
+
+  if (st.img) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(box.x, box.y, box.w, box.h);
+    ctx.clip();
+    drawSelection(ctx, st, EDITOR.view);
+    ctx.restore();
+  }
+
+  if (st.dragging) drawSizeBadge(ctx, st, box);
+  drawRemoteEditBadge(ctx, st, box);
+  if (st.deadline) drawCountdown(ctx, st, box.x, box.y + box.h + 4, box.w);
+
+  ctx.save();
+  ctx.font = "13px sans-serif";
+  ctx.fillStyle = "rgba(255,255,255,0.85)";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "alphabetic";
+  const lines = wrapTextLines(ctx, st.img ? sessionHint(EDITOR.node, st) : "Loading…", Math.max(10, availW));
+  for (let i = 0; i < Math.min(lines.length, 2); i++) {
+    ctx.fillText(lines[i], bounds.width / 2, box.y + box.h + 22 + i * 16);
+  }
+  ctx.restore();
+}
+
+function editorLocalPos(e) {
+  const r = EDITOR.canvas.getBoundingClientRect();
+  const box = EDITOR.view.drawBox;
+  return { x: e.clientX - r.left - box.x, y: e.clientY - r.top - box.y };
+}
+
+function onEditorPointerDown(e) {
+  if (!EDITOR?.view || e.button !== 0) return;
+  const { node, st, canvas, view } = EDITOR;
+  if (!isSessionInteractive(st)) return;
+  // Pinch moves and lifts are picked up by the window-level pointer listeners.
+  if (e.pointerType === "touch" && PINCH?.pointers.size && trackTouchDown(node, st, e)) {
+    e.preventDefault();
+    return;
+  }
+
+  const { x, y } = editorLocalPos(e);
+  if (x < 0 || y < 0 || x > view.drawBox.w || y > view.drawBox.h) return;
+
+  e.preventDefault();
+  if (e.pointerType === "touch") trackTouchDown(node, st, e);
+  canvas.setPointerCapture?.(e.pointerId);
+  const cursor = beginSelectionDrag(node, st, view, x, y, e.shiftKey);
+  canvas.style.cursor = cursor || "crosshair";
+  node.setDirtyCanvas(true, true);
+}
+
+function onEditorPointerMove(e) {
+  if (!EDITOR?.view) return;
+  const { node, st, canvas, view } = EDITOR;
+  const { x, y } = editorLocalPos(e);
+
+  if (st.dragging) {
+    updateSelectionDrag(node, st, view, x, y, e.shiftKey);
+    node.setDirtyCanvas(true, true);
+    return;
+  }
+
+  const over = x >= 0 && y >= 0 && x <= view.drawBox.w && y <= view.drawBox.h;
+  canvas.style.cursor = over && isSessionInteractive(st) ? hoverCursor(st, view, x, y, e.shiftKey) : "default";
+}
+
+function onEditorPointerUp(e) {
+  if (!EDITOR) return;
+  const { node, st, canvas } = EDITOR;
+  canvas.releasePointerCapture?.(e.pointerId);
+  if (!st.dragging) return;
+  endSelectionDrag(node, st);
+  node.setDirtyCanvas(true, true);
+}
+
+// -------------------------
+// Pending sessions panel
+// -------------------------
+// Floating list of every waiting crop session, so a paused run whose node is
+// off-screen doesn't look like a hung server.
+const PANEL_TICK_MS = 500;
+let PENDING_PANEL = null;
+
+function pendingSessionNodes() {
+  return Array.from(ACTIVE_SESSIONS).filter((node) => {
+    const st = node?.__interactive_crop_state;
+    return !!(st && st.sessionActive && !st.submitted);
+  });
+}
+
+function jumpToNode(node) {
+  const canvas = app?.canvas;
+  if (!canvas) return;
+  try {
+    if (typeof canvas.centerOnNode === "function") canvas.centerOnNode(node);
+    if (typeof canvas.selectNode === "function") canvas.selectNode(node, false);
+  } catch {}
+  canvas.setDirty?.(true, true);
+}
+
+function domButton(label, title, onClick) {
+  const button = document.createElement("button");
+  button.textContent = label;
+  button.title = title;
+  Object.assign(button.style, {
+    padding: "2px 6px",
+    font: "11px sans-serif",
+    color: "#eee",
+    background: "rgba(255,255,255,0.08)",
+    border: "1px solid rgba(255,255,255,0.2)",
+    borderRadius: "3px",
+    cursor: "pointer",
+  });
+  button.addEventListener("click", (e) => {
+    e.stopPropagation();
+    onClick(e);
+    refreshPendingPanel();
+  });
+  return button;
+}
+
+function ensurePendingPanel() {
+  if (PENDING_PANEL) return PENDING_PANEL;
+
+  const root = document.createElement("div");
+  root.className = "interactive-crop-pending";
+  Object.assign(root.style, {
+    position: "fixed",
+    right: "12px",
+    bottom: "12px",
+    zIndex: 1000,
+    width: "300px",
+    maxHeight: "50vh",
+    overflowY: "auto",
+    display: "none",
+    color: "#ddd",
+    font: "12px sans-serif",
+    background: "rgba(30,30,30,0.95)",
+    border: "1px solid rgba(255,255,255,0.15)",
+    borderRadius: "6px",
+    boxShadow: "0 4px 16px rgba(0,0,0,0.4)",
+  });
+
+  const header = document.createElement("div");
+  Object.assign(header.style, { padding: "6px 8px", fontWeight: "bold", cursor: "pointer", userSelect: "none" });
+  const list = document.createElement("div");
+  root.append(header, list);
+  document.body.append(root);
+
+  PENDING_PANEL = { root, header, list, rows: new Map(), timer: null, collapsed: false };
+  header.addEventListener("click", () => {
+    PENDING_PANEL.collapsed = !PENDING_PANEL.collapsed;
+    refreshPendingPanel();
+  });
+  return PENDING_PANEL;
+}
+
+function buildPendingRow(node) {
+  const st = node.__interactive_crop_state;
+
+  const row = document.createElement("div");
+  Object.assign(row.style, {
+    display: "flex",
+    gap: "8px",
+    padding: "6px 8px",
+    borderTop: "1px solid rgba(255,255,255,0.1)",
+  });
+
+  const thumb = document.createElement("img");
+  thumb.src = st.frames[0]?.imgUrl ?? st.imgUrl ?? "";
+  thumb.title = "Show node";
+  Object.assign(thumb.style, {
+    width: "56px",
+    height: "42px",
+    objectFit: "contain",
+    background: "#000",
+    flex: "none",
+    cursor: "pointer",
+  });
+  thumb.addEventListener("click", () => jumpToNode(node));
+
+  const info = document.createElement("div");
+  Object.assign(info.style, { flex: "1", minWidth: "0" });
+  const name = document.createElement("div");
+  Object.assign(name.style, { fontWeight: "bold", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" });
+  const meta = document.createElement("div");
+  meta.style.opacity = "0.7";
+  meta.textContent = `prompt ${String(st.prompt_id).slice(0, 8)}`;
+  meta.title = String(st.prompt_id);
+  const time = document.createElement("div");
+
+  const actions = document.createElement("div");
+  Object.assign(actions.style, { display: "flex", gap: "4px", marginTop: "4px" });
+  actions.append(
+    domButton("Go to", "Center the canvas on this node", () => jumpToNode(node)),
+    domButton("Editor", "Open the full-window editor", () => openEditor(node)),
+    domButton("Apply", "Apply the current selection (skips when there is none)", () => submitApply(node)),
+    domButton("Skip", "Pass the original image through", () => submitSkip(node)),
+    domButton("Cancel", "Cancel the run", () => submitCancel(node))
+  );
+
+  info.append(name, meta, time, actions);
+  row.append(thumb, info);
+  return { st, row, name, time };
+}
+
+function refreshPendingPanel() {
+  const nodes = pendingSessionNodes();
+  if (!nodes.length && !PENDING_PANEL) return;
+  const panel = ensurePendingPanel();
+
+  // Drop rows of finished (or replaced) sessions, add rows for new ones.
+  for (const [node, entry] of panel.rows) {
+    if (!nodes.includes(node) || entry.st !== node.__interactive_crop_state) {
+      entry.row.remove();
+      panel.rows.delete(node);
+    }
+  }
+  for (const node of nodes) {
+    if (panel.rows.has(node)) continue;
+    const entry = buildPendingRow(node);
+    panel.rows.set(node, entry);
+    panel.list.append(entry.row);
+  }
+
+  for (const [node, entry] of panel.rows) {
+    entry.name.textContent = `${node.title || node.type} #${node.id}`;
+    entry.time.textContent = entry.st.deadline
+      ? `${formatRemaining(entry.st.deadline - Date.now())} left`
+      : "waiting (no timeout)";
+    entry.time.style.color = isCountdownWarning(entry.st) ? "rgb(235,90,80)" : "";
+  }
+
+  panel.header.textContent = `${panel.collapsed ? "▸" : "▾"} Interactive Crop: ${nodes.length} waiting`;
+  panel.list.style.display = panel.collapsed ? "none" : "";
+  panel.root.style.display = nodes.length ? "" : "none";
+
+  // Tick while anything is pending (time remaining, sessions ending elsewhere).
+  if (nodes.length && !panel.timer) panel.timer = setInterval(refreshPendingPanel, PANEL_TICK_MS);
+  if (!nodes.length && panel.timer) {
+    clearInterval(panel.timer);
+    panel.timer = null;
+  }
+}
+
+// -------------------------
+// Result (after a decision)
+// -------------------------
+const OUTPUT_PREVIEW_MAX = 1024; // longest side of the client-side output frame preview
+const OUTPUT_SIZE_TEXT = {
+  stretch_to_original: "stretched to the original size",
+  fit_letterbox: "letterboxed",
+  fill_crop: "filled and center-cropped",
+  longest_side: "scaled to the longest side",
+  exact: "resized",
+};
+
+function readOutputSizing(node) {
+  const value = (name, fallback) => findWidget(node, name)?.value ?? fallback;
+  return {
+    mode: String(value("output_size", "none")),
+    width: Math.max(0, Math.round(Number(value("output_width", 0)) || 0)),
+    height: Math.max(0, Math.round(Number(value("output_height", 0)) || 0)),
+    longestSide: Math.max(1, Math.round(Number(value("longest_side", 1024)) || 1024)),
+    padColor: String(value("pad_color", "#000000")),
+    interpolation: String(value("interpolation", "bilinear")),
+  };
+}
+
+function outputFrame(sizing, cw, ch, origW, origH) {
+  // Mirrors the backend's output sizing: the output size and where the crop is drawn in it
+  // (dx/dy negative when fill_crop cuts it). null when the crop is output as is.
+  if (!(cw > 0) || !(ch > 0)) return null;
+  const tw = sizing.width || origW;
+  const th = sizing.height || origH;
+  const full = (w, h) => ({ w, h, dx: 0, dy: 0, dw: w, dh: h });
+  switch (sizing.mode) {
+    case "stretch_to_original":
+      return full(origW, origH);
+    case "exact":
+      return full(tw, th);
+    case "longest_side": {
+      const s = sizing.longestSide / Math.max(cw, ch);
+      return full(Math.max(1, Math.round(cw * s)), Math.max(1, Math.round(ch * s)));
+    }
+    case "fit_letterbox":
+    case "fill_crop": {
+      const fit = sizing.mode === "fit_letterbox";
+      const s = fit ? Math.min(tw / cw, th / ch) : Math.max(tw / cw, th / ch);
+      const dw = fit ? Math.max(1, Math.round(cw * s)) : Math.max(tw, Math.round(cw * s));
+      const dh = fit ? Math.max(1, Math.round(ch * s)) : Math.max(th, Math.round(ch * s));
+      // Same integer centering as the backend (floor of the leftover).
+      const dx = fit ? Math.floor((tw - dw) / 2) : -Math.floor((dw - tw) / 2);
+      const dy = fit ? Math.floor((th - dh) / 2) : -Math.floor((dh - th) / 2);
+      return { w: tw, h: th, dx, dy, dw, dh };
+    }
+    default:
+      return null;
+  }
+}
+
+function padColorCss(text) {
+  const hex = String(text ?? "").trim().replace(/^#/, "");
+  return /^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex) ? `#${hex}` : "#000000";
+}
+
+function renderOutputFrame(source, frame, sizing) {
+  // The crop as downstream nodes will get it, letterbox bands included (scaled down for display).
+  const k = Math.min(1, OUTPUT_PREVIEW_MAX / Math.max(frame.w, frame.h));
+  const c = document.createElement("canvas");
+  c.width = Math.max(1, Math.round(frame.w * k));
+  c.height = Math.max(1, Math.round(frame.h * k));
+  const cctx = c.getContext("2d");
+  if (!cctx) return source;
+  cctx.fillStyle = padColorCss(sizing.padColor);
+  cctx.fillRect(0, 0, c.width, c.height);
+  cctx.imageSmoothingEnabled = sizing.interpolation !== "nearest";
+  cctx.drawImage(source, frame.dx * k, frame.dy * k, frame.dw * k, frame.dh * k);
+  return c;
+}
+
+function describeResult(result) {
+  if (!result) return "";
+  if (result.kind === "cancel") return "Run cancelled.";
+  if (result.kind === "timeout") return `Timed out: ${TIMEOUT_ACTION_TEXT[result.action] ?? TIMEOUT_ACTION_TEXT.fail}.`;
+  if (result.kind === "passthrough") return `Skipped: passed the original ${result.w}×${result.h} image through.`;
+  if (result.kind === "external") {
+    const action = EXTERNAL_ACTION_TEXT[result.action];
+    return `Answered outside this tab${action ? ` (${action})` : ""}.`;
+  }
+  if (result.kind === "auto") {
+    const more = result.regions > 1 ? ` (${result.regions} regions)` : "";
+    return `Applied the remembered crop${more} without pausing. Turn off auto_apply_last to choose again.`;
+  }
+
+  let text = `Cropped: x ${result.x}, y ${result.y}, ${result.w}×${result.h} px`;
+  if (result.angle) text += `, rotated ${result.angle}°`;
+  if (result.regions > 1) text += ` (+${result.regions - 1} more region${result.regions > 2 ? "s" : ""})`;
+  if (result.perFrame) text += " (frame 1; other frames differ)";
+  if (result.outMode) text += `, output ${result.outW}×${result.outH} (${OUTPUT_SIZE_TEXT[result.outMode] ?? result.outMode})`;
+  return text;
+}
+
+function drawResult(ctx, node, st) {
+  const padding = 8;
+  const x = padding;
+  const y = calcWidgetAreaY(node);
+  const w = node.size[0] - padding * 2;
+  let textY = y;
+
+  // Confirmation preview of what was cropped (client-side, see submitApply).
+  if (st.img && st.result?.kind === "crop") {
+    const maxH = clamp((node.size[1] ?? 0) - y - 48, 20, 2000);
+    const imgAR = st.imgW / st.imgH;
+    let drawW = w;
+    let drawH = Math.round(drawW / imgAR);
+    if (drawH > maxH) {
+      drawH = maxH;
+      drawW = Math.round(drawH * imgAR);
+    }
+    const drawX = x + Math.round((w - drawW) / 2);
+    ctx.drawImage(st.img, drawX, y, drawW, drawH);
+    textY = y + drawH;
+  }
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, node.size[0], node.size[1]);
+  ctx.clip();
+  ctx.font = "12px sans-serif";
+  ctx.fillStyle = "rgba(255,255,255,0.85)";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "alphabetic";
+  const lines = wrapTextLines(ctx, describeResult(st.result), Math.max(10, w));
+  for (let i = 0; i < lines.length; i++) {
+    ctx.fillText(lines[i], x + w / 2, textY + 24 + i * 14);
+  }
+  ctx.restore();
+}
+
+// -------------------------
+// Selection HUD and loupe
+// -------------------------
+// The line under the preview shows the active region's numbers and what output_size will do
+// to it; while a corner or edge is dragged, a loupe next to it shows the pixels underneath.
+const UPSCALE_WARN = 2; // flag crops that get enlarged at least this much
+const LOUPE_SIZE = 112; // screen px
+const LOUPE_ZOOM = 8; // screen px per image pixel
+const LOUPE_OFFSET = 24; // screen px between the dragged point and the loupe
+
+function formatAspect(w, h) {
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  const g = gcd(w, h);
+  if (w / g <= 32 && h / g <= 32) return `${w / g}:${h / g}`;
+  return w >= h ? `${(w / h).toFixed(2)}:1` : `1:${(h / w).toFixed(2)}`;
+}
+
+function resampleText(sx, sy) {
+  if (Math.abs(sx - 1) < 0.005 && Math.abs(sy - 1) < 0.005) return "no resampling";
+  const f = (v) => `${v.toFixed(2)}×`;
+  const factor = Math.abs(sx - sy) < 0.01 ? f(sx) : `${f(sx)} / ${f(sy)}`;
+  if (Math.max(sx, sy) <= 1) return `downscaled ${factor}`;
+  return `${Math.max(sx, sy) >= UPSCALE_WARN ? "⚠ " : ""}upscaled ${factor}`;
+}
+
+function selectionHud(node, st) {
+  const d = rectToDecision(st.rect);
+  const w = d.x1 - d.x0;
+  const h = d.y1 - d.y0;
+  let text = `x ${d.x0}, y ${d.y0}, ${w}×${h} (${formatAspect(w, h)})`;
+  if (d.angle) text += `, rotated ${d.angle}° (Shift snaps to ${ROTATE_SNAP_DEG}°)`;
+
+  const frame = outputFrame(readOutputSizing(node), w, h, st.imgW, st.imgH);
+  text += frame ? ` → output ${frame.w}×${frame.h}, ${resampleText(frame.dw / w, frame.dh / h)}.` : " → output as is.";
+  return text;
+}
+
+function loupePoint(st) {
+  // Image point under the dragged handle (or the moving corner of a new rect).
+  if (!st.dragging || !st.rect) return null;
+  if (st.dragMode === "resize" && st.resizeHandle) {
+    return getRectHandles(st.rect).find((h) => h.key === st.resizeHandle) ?? null;
+  }
+  if (st.dragMode === "new") {
+    const r = normalizeRect(st.rect);
+    return { x: st.startX <= r.x + r.w / 2 ? r.x + r.w : r.x, y: st.startY <= r.y + r.h / 2 ? r.y + r.h : r.y };
+  }
+  return null;
+}
+
+function drawLoupe(ctx, st, view) {
+  const p = loupePoint(st);
+  if (!p || !st.img) return;
+
+  const screen = view.screenScale ?? canvasScale();
+  const size = LOUPE_SIZE / screen;
+  const radius = LOUPE_SIZE / LOUPE_ZOOM / 2; // image px shown on each side of the point
+  const loupeView = { viewX: p.x - radius, viewY: p.y - radius, scale: size / (radius * 2) };
+
+  // Up and to the right of the point, flipped to stay inside the preview.
+  const box = view.drawBox;
+  const at = rectToLocal(view, { x: p.x, y: p.y, w: 0, h: 0 });
+  const off = LOUPE_OFFSET / screen;
+  let lx = at.x + off;
+  if (lx + size > box.w) lx = at.x - off - size;
+  let ly = at.y - off - size;
+  if (ly < 0) ly = at.y + off;
+  lx = box.x + clamp(lx, 0, Math.max(0, box.w - size));
+  ly = box.y + clamp(ly, 0, Math.max(0, box.h - size));
+
+  // Source pixels: the full-resolution tile when it covers the point, else the preview.
+  const t = st.tile;
+  const onTile = t && t.frame === st.frameIndex && p.x >= t.x0 && p.x <= t.x1 && p.y >= t.y0 && p.y <= t.y1;
+  const src = onTile ? t.img : st.img;
+  const ox = onTile ? t.x0 : 0;
+  const oy = onTile ? t.y0 : 0;
+  const k = onTile ? t.img.width / (t.x1 - t.x0) : st.img.width / st.imgW;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(lx, ly, size, size);
+  ctx.clip();
+  ctx.fillStyle = "#000";
+  ctx.fillRect(lx, ly, size, size);
+  ctx.imageSmoothingEnabled = false;
+  const side = radius * 2 * k;
+  ctx.drawImage(src, (p.x - radius - ox) * k, (p.y - radius - oy) * k, side, side, lx, ly, size, size);
+
+  ctx.lineWidth = 1 / screen;
+  ctx.strokeStyle = regionColor(st.activeRegion);
+  ctx.beginPath();
+  traceRect(ctx, lx, ly, rectToLocal(loupeView, st.rect));
+  ctx.stroke();
+  ctx.strokeStyle = "rgba(255,255,255,0.5)";
+  ctx.beginPath();
+  ctx.moveTo(lx + size / 2, ly);
+  ctx.lineTo(lx + size / 2, ly + size);
+  ctx.moveTo(lx, ly + size / 2);
+  ctx.lineTo(lx + size, ly + size / 2);
+  ctx.stroke();
+  ctx.restore();
+
+  ctx.save();
+  ctx.lineWidth = 2 / screen;
+  ctx.strokeStyle = "rgba(255,255,255,0.9)";
+  ctx.strokeRect(lx, ly, size, size);
+  ctx.restore();
+}
+
+// -------------------------
+// Selection editing (shared by the node preview and the editor dialog)
+// -------------------------
+// `view` is anything with drawBox / scale / viewX / viewY: the session state itself for
+// the in-node preview, or the editor dialog's own fit-to-window view.
+function drawSelection(ctx, st, view) {
+  // Image, dimmed outside the regions, region outlines/labels and the active region's handles.
+  const { x: drawX, y: drawY, w: drawW, h: drawH } = view.drawBox;
+
+  // base image, with a full-resolution tile over it when zoomed in on a downscaled preview
+  const imgBox = rectToLocal(view, { x: 0, y: 0, w: st.imgW, h: st.imgH });
+  updateTile(st, view);
+  const tile = st.tile?.frame === st.frameIndex ? st.tile : null;
+  const tileBox = tile && rectToLocal(view, { x: tile.x0, y: tile.y0, w: tile.x1 - tile.x0, h: tile.y1 - tile.y0 });
+  const drawBaseImage = () => {
+    if (st.expand) drawCheckerboard(ctx, drawX, drawY, drawW, drawH);
+    ctx.drawImage(st.img, drawX + imgBox.x, drawY + imgBox.y, imgBox.w, imgBox.h);
+    if (tile) ctx.drawImage(tile.img, drawX + tileBox.x, drawY + tileBox.y, tileBox.w, tileBox.h);
+  };
+  drawBaseImage();
+
+  // selection overlay (dim outside, keep every region visible)
+  if (st.regions.length) {
+    const toDraw = (r) => rectToLocal(view, r);
+
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.45)";
+    ctx.fillRect(drawX, drawY, drawW, drawH);
+    ctx.restore();
+
+    ctx.save();
+    ctx.beginPath();
+    for (const r of st.regions) traceRect(ctx, drawX, drawY, toDraw(r));
+    ctx.clip();
+    drawBaseImage();
+    ctx.restore();
+
+    const labeled = st.regions.length > 1;
+    st.regions.forEach((r, i) => {
+      const d = toDraw(r);
+      // Label sits on the (rotated) top-left corner.
+      const corner = rectCorners(d)[0];
+      const rx = drawX + corner.x;
+      const ry = drawY + corner.y;
+
+      ctx.save();
+      ctx.strokeStyle = regionColor(i);
+      ctx.lineWidth = i === st.activeRegion && labeled ? 2 : 1;
+      ctx.beginPath();
+      traceRect(ctx, drawX + 0.5, drawY + 0.5, d);
+      ctx.stroke();
+
+      if (labeled) {
+        const label = String(i + 1);
+        ctx.font = "bold 10px sans-serif";
+        const lw = Math.ceil(ctx.measureText(label).width) + 6;
+        ctx.fillStyle = regionColor(i);
+        ctx.fillRect(rx, ry, lw, 13);
+        ctx.fillStyle = "rgba(0,0,0,0.85)";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "top";
+        ctx.fillText(label, rx + 3, ry + 2);
       }
       ctx.restore();
+    });
+  }
+
+  if (st.rect) {
+    const rectDraw = rectToLocal(view, st.rect);
+
+    // Resize handles + rotation knob (active region only)
+    ctx.save();
+    ctx.fillStyle = "rgba(255,255,255,0.95)";
+    ctx.strokeStyle = "rgba(0,0,0,0.55)";
+    const m = handleMetrics(view);
+    ctx.lineWidth = m.half / HANDLE_HALF;
+
+    const knob = getRotateHandle(rectDraw, drawW, drawH, m.knobDist);
+    ctx.beginPath();
+    ctx.moveTo(drawX + knob.anchorX, drawY + knob.anchorY);
+    ctx.lineTo(drawX + knob.x, drawY + knob.y);
+    ctx.strokeStyle = "rgba(255,255,255,0.8)";
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(drawX + knob.x, drawY + knob.y, m.knobR, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = "rgba(0,0,0,0.55)";
+    ctx.stroke();
+
+    for (const h of getRectHandles(rectDraw)) {
+      const hx = drawX + h.x;
+      const hy = drawY + h.y;
+      const s = m.half;
+      ctx.fillRect(hx - s, hy - s, s * 2, s * 2);
+      ctx.strokeRect(hx - s, hy - s, s * 2, s * 2);
+    }
+    ctx.restore();
+  }
+
+  drawLoupe(ctx, st, view);
+}
+
+function sessionHint(node, st) {
+  // Line under the preview: the HUD for the active region, or how to start one.
+  let msg = rectToDecision(st.rect) ? selectionHud(node, st) : "Drag in the preview to select a crop area.";
+  if (st.notice && Date.now() < st.notice.until) msg = `${st.notice.text} ${msg}`;
+  if (st.deadline) {
+    const action = TIMEOUT_ACTION_TEXT[st.onTimeout] ?? TIMEOUT_ACTION_TEXT.fail;
+    msg += ` ${formatRemaining(st.deadline - Date.now())} left, then ${action}.`;
+  }
+  return msg;
+}
+
+function beginSelectionDrag(node, st, view, localX, localY, shiftKey) {
+  // Pointer down at (localX, localY) inside view.drawBox: rotate, resize, move or draw a new rect.
+  // Returns the cursor to show for the drag (null = leave it).
+  const box = view.drawBox;
+  const { x: imgX, y: imgY } = localToImage(view, localX, localY);
+  const m = handleMetrics(view);
+
+  // If clicking the rotation knob => rotate about the center
+  if (st.rect && hitTestRotateHandle(localX, localY, rectToLocal(view, st.rect), box.w, box.h, m)) {
+    st.dragging = true;
+    st.dragMode = "rotate";
+    st.resizeHandle = null;
+    return "grabbing";
+  }
+
+  // If clicking a handle => resize
+  if (st.rect) {
+    const handle = hitTestHandle(localX, localY, rectToLocal(view, st.rect), m.hitHalf);
+    if (handle) {
+      st.dragging = true;
+      st.dragMode = "resize";
+      st.resizeHandle = handle;
+      st.resizeStartRect = { ...st.rect }; // image coords
+      return cursorForHandle(handle);
+    }
+  }
+
+  // If clicking inside a region => select it and move (Shift always starts a new region)
+  const hitRegion = shiftKey ? -1 : regionAtPoint(st, imgX, imgY);
+  if (hitRegion >= 0) {
+    if (hitRegion !== st.activeRegion) selectRegion(node, hitRegion);
+
+    st.dragging = true;
+    st.dragMode = "move";
+    st.resizeHandle = null;
+    st.moveOffsetX = imgX - st.rect.x;
+    st.moveOffsetY = imgY - st.rect.y;
+    return "move";
+  }
+
+  // Else start new rect (Shift adds a region instead of replacing the active one)
+  if (shiftKey) st.activeRegion = -1;
+  st.dragging = true;
+  st.dragMode = "new";
+  st.resizeHandle = null;
+  st.startX = imgX;
+  st.startY = imgY;
+  st.rect = { x: st.startX, y: st.startY, w: 0, h: 0 }; // image coords
+  syncRectWidgets(node);
+  return null;
+}
+
+function updateSelectionDrag(node, st, view, localX, localY, shiftKey) {
+  // Pointer move during a drag started by beginSelectionDrag; local coords may leave the box.
+  const box = view.drawBox;
+  const { x: imgX0, y: imgY0 } = localToImage(view, clamp(localX, 0, box.w), clamp(localY, 0, box.h));
+
+  if (st.dragMode === "rotate" && st.rect) {
+    // Use the unclamped pointer so the knob can be swung outside the preview.
+    const p = localToImage(view, localX, localY);
+    const angle = angleFromPointer(st.rect, p.x, p.y, shiftKey);
+    st.rect = inExtent(st, { ...st.rect, angle }, (r, boxW, boxH) => clampRectToBox(r, boxW, boxH));
+  } else if (st.dragMode === "move" && st.rect) {
+    const moved = { ...st.rect, x: imgX0 - st.moveOffsetX, y: imgY0 - st.moveOffsetY };
+    st.rect = inExtent(st, moved, (r, boxW, boxH) => {
+      if (rectAngle(r)) return clampRectToBox(r, boxW, boxH);
+      return { ...r, x: clamp(r.x, 0, boxW - r.w), y: clamp(r.y, 0, boxH - r.h) };
+    });
+  } else if (st.dragMode === "resize" && st.rect && st.resizeHandle) {
+    const baseRect = st.resizeStartRect ? st.resizeStartRect : st.rect;
+    st.rect = inExtent(st, baseRect, (r, boxW, boxH, ext) =>
+      snapRectToMultiple(
+        applyResize(r, st.resizeHandle, imgX0 - ext.x, imgY0 - ext.y, boxW, boxH, st.aspectRatio),
+        st.snap,
+        boxW,
+        boxH,
+        st.aspectRatio,
+        anchorForHandle(st.resizeHandle)
+      )
+    );
+  } else if (st.dragMode === "new") {
+    let endX = imgX0;
+    let endY = imgY0;
+
+    if (st.aspectRatio) {
+      const ext = selectionExtent(st);
+      const sx = st.startX - ext.x;
+      const sy = st.startY - ext.y;
+      const out = enforceAspectRect(sx, sy, imgX0 - ext.x, imgY0 - ext.y, st.aspectRatio, ext.w, ext.h);
+      endX = out.endX + ext.x;
+      endY = out.endY + ext.y;
+    }
+
+    const x0 = Math.min(st.startX, endX);
+    const y0 = Math.min(st.startY, endY);
+    const x1 = Math.max(st.startX, endX);
+    const y1 = Math.max(st.startY, endY);
+
+    // Snapping keeps the corner the drag started from.
+    const anchor = (endY >= st.startY ? "n" : "s") + (endX >= st.startX ? "w" : "e");
+    st.rect = inExtent(st, { x: x0, y: y0, w: x1 - x0, h: y1 - y0 }, (r, boxW, boxH) =>
+      snapRectToMultiple(r, st.snap, boxW, boxH, st.aspectRatio, anchor)
+    );
+  }
+  syncRectWidgets(node);
+}
+
+function endSelectionDrag(node, st) {
+  // A click without a drag should not leave a zero-size region behind.
+  if (st.dragMode === "new" && st.rect && (st.rect.w < 2 || st.rect.h < 2)) {
+    st.rect = null;
+    syncRectWidgets(node);
+  }
+  st.dragging = false;
+  st.dragMode = null;
+  st.resizeHandle = null;
+  st.resizeStartRect = null;
+  commitHistory(st);
+}
+
+function dragCursor(st) {
+  if (st.dragMode === "resize" && st.resizeHandle) return cursorForHandle(st.resizeHandle) || "";
+  if (st.dragMode === "move") return "move";
+  if (st.dragMode === "pan" || st.dragMode === "rotate") return "grabbing";
+  return "crosshair";
+}
+
+function hoverCursor(st, view, localX, localY, shiftKey) {
+  // Cursor over the preview while not dragging.
+  if (!st.rect) return "crosshair";
+  const rectDraw = rectToLocal(view, st.rect);
+  const m = handleMetrics(view);
+  if (hitTestRotateHandle(localX, localY, rectDraw, view.drawBox.w, view.drawBox.h, m)) return "grab";
+  const handle = hitTestHandle(localX, localY, rectDraw, m.hitHalf);
+  if (handle) return cursorForHandle(handle) || "";
+  const p = localToImage(view, localX, localY);
+  const inside = regionAtPoint(st, p.x, p.y) >= 0;
+  return inside && !shiftKey ? "move" : "crosshair";
+}
+
+function attachInlineHandlers(node) {
+  if (node.__interactive_crop_handlers_attached) return;
+  node.__interactive_crop_handlers_attached = true;
+
+  ensureGlobalListeners();
+
+  const origDraw = node.onDrawForeground;
+  node.onDrawForeground = function (ctx) {
+    if (origDraw) origDraw.call(this, ctx);
+
+    const st = this.__interactive_crop_state;
+    const applyW = this.__interactive_crop_apply_widget;
+    const cancelW = this.__interactive_crop_cancel_widget;
+
+    const active = !!(st && st.ready && st.sessionActive && !st.submitted);
+
+    // Apply enabled when active
+    setWidgetDisabled(applyW, !active);
+
+    // Cancel enabled when active (no selection requirement anymore)
+    setWidgetDisabled(cancelW, !active);
+    setWidgetDisabled(this.__interactive_crop_editor_widget, !active);
+    setWidgetDisabled(this.__interactive_crop_suggest_widget, !active);
+    setWidgetDisabled(this.__interactive_crop_presets_widget, !active);
+
+    for (const rw of this.__interactive_crop_rect_widgets ?? []) setWidgetDisabled(rw, !active);
+
+    if (st && !st.sessionActive && st.result) {
+      drawResult(ctx, this, st);
+      return;
+    }
+
+    if (!st || !st.ready || !st.img || !st.sessionActive) return;
+
+    // Live-read aspect mode while session active; re-shape the selection when it changes.
+    const ratio = readAspectRatio(this, st);
+    const prevSnap = st.snap;
+    const snap = readSnapMultiple(this, st);
+    const prevExpand = !!st.expand;
+    const expand = readAllowExpand(this, st);
+    if (ratio !== st.aspectRatio || snap !== prevSnap || expand !== prevExpand) {
+      const ratioChanged = ratio !== st.aspectRatio;
+      st.aspectRatio = ratio;
+      if (st.rect && !st.dragging && st.rect.w >= 2 && st.rect.h >= 2) {
+        st.rect = inExtent(st, st.rect, (r, boxW, boxH) => {
+          if (ratio && ratioChanged) r = fitRectToRatio(r, ratio, boxW, boxH);
+          // Turning allow_expand off pulls the rect back onto the image.
+          return snapRectToMultiple(clampRectToBox(r, boxW, boxH), snap, boxW, boxH, ratio);
+        });
+        commitHistory(st);
+        syncRectWidgets(this);
+      }
+    }
+
+    const padding = 8;
+    const contentTop = calcWidgetAreaY(this);
+    const x = padding;
+    const y = contentTop;
+    const w = this.size[0] - padding * 2;
+
+    st.hitRegions = [];
+    const multiFrame = st.frames.length > 1;
+    const stripReserve = multiFrame ? FRAME_STRIP_H + FRAME_TOGGLE_H + 6 : 0;
+
+    // Allow user resizing to control preview height (do NOT auto-resize node).
+    // Reserve a little room for instruction text (and the frame strip) below the image.
+    const maxH = clamp((this.size[1] ?? 0) - y - 48 - stripReserve, 20, 2000);
+    const imgAR = st.imgW / st.imgH;
+    let drawW = w;
+    let drawH = Math.round(drawW / imgAR);
+    if (drawH > maxH) {
+      drawH = maxH;
+      drawW = Math.round(drawH * imgAR);
     }
 
+    const drawX = x + Math.round((w - drawW) / 2);
+    const drawY = y;
+
+    st.drawBox = { x: drawX, y: drawY, w: drawW, h: drawH };
+    updateView(st);
+
+    // frame
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.25)";
+    ctx.strokeStyle = "rgba(255,255,255,0.12)";
+    ctx.lineWidth = 1;
+    ctx.fillRect(drawX - 2, drawY - 2, drawW + 4, drawH + 4);
+    ctx.strokeRect(drawX - 2, drawY - 2, drawW + 4, drawH + 4);
+    ctx.restore();
+
+    // Everything image-space is clipped to the preview box (it can be zoomed/panned).
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(drawX, drawY, drawW, drawH);
+    ctx.clip();
+
+    drawSelection(ctx, st, st);
+
+    ctx.restore(); // preview clip
+
+    if (st.dragging && st.dragMode !== "pan") drawSizeBadge(ctx, st);
+    drawRemoteEditBadge(ctx, st);
+    drawViewToggle(ctx, this, st);
+    drawHistoryControls(ctx, this, st);
+    if (st.deadline) drawCountdown(ctx, st, drawX - 2, drawY + drawH + 2, drawW + 4);
+
+    if (multiFrame) drawFrameStrip(ctx, this, st, x, drawY + drawH + 6, w);
+
     // Instruction text (wrapped + clipped to node bounds)
-    const msg = "Drag in the preview to select a crop area.";
+    const msg = sessionHint(this, st);
     const textPaddingTop = 10;
     const lineH = 14;
     const textMaxW = Math.max(10, w);
@@ -614,7 +3475,7 @@ function attachInlineHandlers(node) {
     ctx.textBaseline = "alphabetic";
 
     const lines = wrapTextLines(ctx, msg, textMaxW);
-    const baseY = drawY + drawH + textPaddingTop + lineH;
+    const baseY = drawY + drawH + stripReserve + textPaddingTop + lineH;
     const cx = x + w / 2;
     for (let i = 0; i < lines.length; i++) {
       ctx.fillText(lines[i], cx, baseY + i * lineH);
@@ -633,6 +3494,13 @@ function attachInlineHandlers(node) {
       return origMouseDown ? origMouseDown.call(this, e, pos, graphcanvas) : false;
     }
 
+    const control = hitTestRegions(st, pos[0], pos[1]);
+    if (control) {
+      control.onClick();
+      this.setDirtyCanvas(true, true);
+      return true;
+    }
+
     const box = st.drawBox;
     const lx = pos[0];
     const ly = pos[1];
@@ -641,72 +3509,20 @@ function attachInlineHandlers(node) {
       return origMouseDown ? origMouseDown.call(this, e, pos, graphcanvas) : false;
     }
 
-    const localX = clamp(lx - box.x, 0, box.w);
-    const localY = clamp(ly - box.y, 0, box.h);
-
-    const imgX = localX / (st.scale || 1);
-    const imgY = localY / (st.scale || 1);
-
-    // If clicking a handle => resize
-    if (st.rect) {
-      const rectDraw = {
-        x: st.rect.x * st.scale,
-        y: st.rect.y * st.scale,
-        w: st.rect.w * st.scale,
-        h: st.rect.h * st.scale,
-      };
-      const handle = hitTestHandle(localX, localY, rectDraw);
-      if (handle) {
-        st.dragging = true;
-        st.dragMode = "resize";
-        st.resizeHandle = handle;
-        st.resizeStartRect = { ...st.rect }; // image coords
-
-        const cur = cursorForHandle(handle);
-        if (cur) setCanvasCursor(graphcanvas, cur);
-
-        ACTIVE_DRAG_NODE = this;
-        this.setDirtyCanvas(true, true);
-        return true;
-      }
-    }
-
-    // If clicking inside existing rect => move
-    if (st.rect) {
-      const rectDraw = {
-        x: st.rect.x * st.scale,
-        y: st.rect.y * st.scale,
-        w: st.rect.w * st.scale,
-        h: st.rect.h * st.scale,
-      };
-      const inside =
-        localX >= rectDraw.x &&
-        localX <= rectDraw.x + rectDraw.w &&
-        localY >= rectDraw.y &&
-        localY <= rectDraw.y + rectDraw.h;
-
-      if (inside) {
-        st.dragging = true;
-        st.dragMode = "move";
-        st.resizeHandle = null;
-        st.moveOffsetX = imgX - st.rect.x;
-        st.moveOffsetY = imgY - st.rect.y;
-
-        setCanvasCursor(graphcanvas, "move");
-
-        ACTIVE_DRAG_NODE = this;
-        this.setDirtyCanvas(true, true);
-        return true;
-      }
+    // Space-drag pans the zoomed preview instead of editing the selection.
+    if (SPACE_HELD) {
+      st.dragging = true;
+      st.dragMode = "pan";
+      st.panLast = { x: lx, y: ly };
+      setCanvasCursor(graphcanvas, "grabbing");
+      ACTIVE_DRAG_NODE = this;
+      return true;
     }
 
-    // Else start new rect
-    st.dragging = true;
-    st.dragMode = "new";
-    st.resizeHandle = null;
-    st.startX = imgX;
-    st.startY = imgY;
-    st.rect = { x: st.startX, y: st.startY, w: 0, h: 0 }; // image coords
+    const localX = clamp(lx - box.x, 0, box.w);
+    const localY = clamp(ly - box.y, 0, box.h);
+    const cursor = beginSelectionDrag(this, st, st, localX, localY, e.shiftKey);
+    if (cursor) setCanvasCursor(graphcanvas, cursor);
 
     ACTIVE_DRAG_NODE = this;
     this.setDirtyCanvas(true, true);
@@ -724,39 +3540,20 @@ function attachInlineHandlers(node) {
       let desired = "";
 
       const over = lx >= box.x && lx <= box.x + box.w && ly >= box.y && ly <= box.y + box.h;
+      st.pointerOverPreview = over;
       if (over) {
         const localX = clamp(lx - box.x, 0, box.w);
         const localY = clamp(ly - box.y, 0, box.h);
 
         if (st.dragging) {
-          if (st.dragMode === "resize" && st.resizeHandle) {
-            desired = cursorForHandle(st.resizeHandle) || desired;
-          } else if (st.dragMode === "move") {
-            desired = "move";
-          } else {
-            desired = st.forceOriginalRatio ? "crosshair" : "crosshair";
-          }
-        } else if (st.rect) {
-          const rectDraw = {
-            x: st.rect.x * st.scale,
-            y: st.rect.y * st.scale,
-            w: st.rect.w * st.scale,
-            h: st.rect.h * st.scale,
-          };
-          const handle = hitTestHandle(localX, localY, rectDraw);
-          if (handle) {
-            desired = cursorForHandle(handle) || desired;
-          } else {
-            const inside =
-              localX >= rectDraw.x &&
-              localX <= rectDraw.x + rectDraw.w &&
-              localY >= rectDraw.y &&
-              localY <= rectDraw.y + rectDraw.h;
-            desired = inside ? "move" : "crosshair";
-          }
+          desired = dragCursor(st);
+        } else if (SPACE_HELD) {
+          desired = "grab";
         } else {
-          desired = "crosshair";
+          desired = hoverCursor(st, st, localX, localY, e.shiftKey);
         }
+      } else if (!st.dragging && hitTestRegions(st, lx, ly)) {
+        desired = "pointer";
       } else {
         desired = "";
       }
@@ -796,55 +3593,15 @@ function attachInlineHandlers(node) {
       return false;
     }
 
-    const box = st.drawBox;
-    const localX0 = clamp(pos[0] - box.x, 0, box.w);
-    const localY0 = clamp(pos[1] - box.y, 0, box.h);
-
-    const imgX0 = localX0 / (st.scale || 1);
-    const imgY0 = localY0 / (st.scale || 1);
-
-    if (st.dragMode === "move" && st.rect) {
-      const newX = clamp(imgX0 - st.moveOffsetX, 0, st.imgW - st.rect.w);
-      const newY = clamp(imgY0 - st.moveOffsetY, 0, st.imgH - st.rect.h);
-      st.rect = { ...st.rect, x: newX, y: newY };
-      this.setDirtyCanvas(true, true);
-      return true;
-    }
-
-    if (st.dragMode === "resize" && st.rect && st.resizeHandle) {
-      const baseRect = st.resizeStartRect ? st.resizeStartRect : st.rect;
-      st.rect = applyResize(
-        baseRect,
-        st.resizeHandle,
-        imgX0,
-        imgY0,
-        st.imgW,
-        st.imgH,
-        !!st.forceOriginalRatio,
-        st.imgW,
-        st.imgH
-      );
+    if (st.dragMode === "pan") {
+      panView(st, pos[0] - st.panLast.x, pos[1] - st.panLast.y);
+      st.panLast = { x: pos[0], y: pos[1] };
       this.setDirtyCanvas(true, true);
       return true;
     }
 
-    // dragMode === "new"
-    let endX = imgX0;
-    let endY = imgY0;
-
-    if (st.forceOriginalRatio) {
-      const ratio = st.imgW / st.imgH;
-      const out = enforceAspectRect(st.startX, st.startY, imgX0, imgY0, ratio, st.imgW, st.imgH);
-      endX = out.endX;
-      endY = out.endY;
-    }
-
-    const x0 = Math.min(st.startX, endX);
-    const y0 = Math.min(st.startY, endY);
-    const x1 = Math.max(st.startX, endX);
-    const y1 = Math.max(st.startY, endY);
-
-    st.rect = { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+    const box = st.drawBox;
+    updateSelectionDrag(this, st, st, pos[0] - box.x, pos[1] - box.y, e.shiftKey);
     this.setDirtyCanvas(true, true);
     return true;
   };
@@ -853,10 +3610,7 @@ function attachInlineHandlers(node) {
   node.onMouseUp = function (e, pos, graphcanvas) {
     const st = this.__interactive_crop_state;
     if (st && st.dragging) {
-      st.dragging = false;
-      st.dragMode = null;
-      st.resizeHandle = null;
-      st.resizeStartRect = null;
+      endSelectionDrag(this, st);
       ACTIVE_DRAG_NODE = null;
       this.setDirtyCanvas(true, true);
       setCanvasCursor(graphcanvas, st.__cursor || "");
@@ -866,84 +3620,288 @@ function attachInlineHandlers(node) {
   };
 }
 
+function migrateLegacyWidgetValues(node, info) {
+  const values = info?.widgets_values;
+  if (!Array.isArray(values)) return;
+  const sizeWidget = findWidget(node, "output_size");
+  const sizeFromResize = (resize) => (resize ? "stretch_to_original" : "none");
+
+  // Workflows saved before aspect_mode stored [force_original_ratio, resize_to_original].
+  if (typeof values[0] === "boolean") {
+    const modeWidget = findWidget(node, "aspect_mode");
+    const customWidget = findWidget(node, "custom_aspect");
+    if (modeWidget) modeWidget.value = values[0] ? "original" : "free";
+    if (customWidget) customWidget.value = DEFAULT_CUSTOM_ASPECT;
+    if (sizeWidget && typeof values[1] === "boolean") sizeWidget.value = sizeFromResize(values[1]);
+    return;
+  }
+
+  // Workflows saved before output_size had the resize_to_original boolean in its slot.
+  if (sizeWidget && typeof values[2] === "boolean") sizeWidget.value = sizeFromResize(values[2]);
+}
+
+// -------------------------
+// Session start / reload recovery
+// -------------------------
+// Sessions start from the `interactive.crop.request` event. A tab that reloads (or whose
+// websocket reconnects) while a run waits rebuilds them from GET /interactive_crop/pending,
+// and drafts in sessionStorage bring back what was drawn before the reload.
+const DRAFT_STORAGE_KEY = "interactive_crop_drafts";
+
+function draftKey(st) {
+  return `${st.prompt_id}:${st.node_id}`;
+}
+
+function readDrafts() {
+  try {
+    const drafts = JSON.parse(sessionStorage.getItem(DRAFT_STORAGE_KEY) ?? "{}");
+    return drafts && typeof drafts === "object" ? drafts : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeDrafts(drafts) {
+  try {
+    sessionStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(drafts));
+  } catch {}
+}
+
+function saveDraft(st) {
+  // Called with every history step, so a reload loses at most the drag in progress.
+  const drafts = readDrafts();
+  drafts[draftKey(st)] = st.history.base;
+  writeDrafts(drafts);
+}
+
+function readDraft(st) {
+  return validSelection(st, readDrafts()[draftKey(st)]);
+}
+
+async function startSession(d, recovered = null) {
+  // `recovered` ({ remainingMs, selection }) when rebuilding a session the server still waits on.
+  const prompt_id = String(d.prompt_id ?? "");
+  const node_id = String(d.node ?? "");
+  const image = d.image;
+  const images = Array.isArray(d.images) && d.images.length ? d.images : image ? [image] : [];
+
+  const imgW = Number(d.width ?? 0);
+  const imgH = Number(d.height ?? 0);
+  const aspectMode = String(d.aspect_mode ?? "free");
+  const customAspect = String(d.custom_aspect ?? "");
+  // Count down from receipt (or from the server's time left when recovering) rather than the
+  // server's `deadline`, so clock skew doesn't matter.
+  const timeoutMs = Math.max(0, Number(d.timeout_seconds ?? 0)) * 1000;
+  const remainingMs = recovered?.remainingMs ?? timeoutMs;
+
+  if (!prompt_id || !node_id || !image) return;
+
+  const node = getNodeById(node_id);
+  if (!node) return;
+
+  // If the user has bypassed/muted the node, immediately return passthrough
+  // so the backend doesn't block waiting for interaction.
+  if (isNodeBypassed(node)) {
+    try {
+      await postDecision({ prompt_id, node_id, action: "passthrough" });
+    } catch {}
+    return;
+  }
+
+  ensureRectWidgets(node);
+  ensureButtons(node);
+  attachInlineHandlers(node);
+
+  if (ACTIVE_DRAG_NODE && ACTIVE_DRAG_NODE.id === node.id) {
+    forceReleaseDrag();
+  }
+
+  // Start session immediately
+  const st = (node.__interactive_crop_state = {
+    ready: false,
+    prompt_id,
+    node_id,
+    imgW,
+    imgH,
+    img: null,
+    regions: [],
+    activeRegion: -1,
+    get rect() {
+      return this.regions[this.activeRegion] ?? null;
+    },
+    set rect(r) {
+      setActiveRegionRect(this, r);
+    },
+    dragging: false,
+    dragMode: null, // "new" | "move" | "resize" | "rotate" | "pan" | null
+    resizeHandle: null, // "nw"|"n"|"ne"|"e"|"se"|"s"|"sw"|"w"|null
+    resizeStartRect: null,
+    moveOffsetX: 0,
+    moveOffsetY: 0,
+    drawBox: null,
+    scale: 1,
+    fitScale: 1,
+    viewMode: "fit", // "fit" | "1:1" | "custom"
+    zoom: 1, // 1 = fit to the preview box
+    viewX: 0, // image coords at the preview's top-left corner
+    viewY: 0,
+    pointerOverPreview: false,
+    startX: 0,
+    startY: 0,
+    sessionActive: true,
+    submitted: false,
+    frames: images.map((info) => ({ imgUrl: previewUrl(info), img: null, regions: [] })),
+    frameIndex: 0,
+    sameForAll: true,
+    hitRegions: [],
+    aspectMode,
+    customAspect,
+    aspectSwapped: false,
+    aspectRatio: resolveAspectRatio(aspectMode, customAspect, imgW, imgH, false),
+    snap: Math.max(1, Number(d.snap_multiple ?? 1) || 1),
+    expand: !!d.allow_expand,
+    // Preview pixels per original pixel (< 1 for large images); rects are always in original pixels.
+    previewScale: clamp(Number(d.preview_scale ?? 1) || 1, 1e-3, 1),
+    tile: null,
+    tileRequest: null,
+    timeoutMs,
+    deadline: timeoutMs ? Date.now() + remainingMs : null,
+    onTimeout: String(d.on_timeout ?? "fail"),
+  });
+
+  st.imgUrl = st.frames[0].imgUrl;
+  // The selection last shared by any tab is the newest; this tab's draft covers a failed share.
+  const draft = recovered && (validSelection(st, recovered.selection) ?? readDraft(st));
+  if (draft) restoreSnapshot(st, draft);
+  else restoreLastCrop(node, st);
+  resetHistory(st);
+  loadFrameImages(node, st);
+
+  ACTIVE_SESSIONS.add(node);
+  syncRectWidgets(node);
+  startCountdown(node);
+  refreshPendingPanel();
+  node.setDirtyCanvas(true, true);
+}
+
+async function recoverPendingSessions() {
+  let data;
+  try {
+    const res = await api.fetchApi("/interactive_crop/pending");
+    data = await res.json();
+  } catch {
+    return;
+  }
+  const pending = (Array.isArray(data?.pending) ? data.pending : []).filter((p) => p.kind === "crop" && p.request);
+  const now = Number(data.now ?? 0);
+
+  for (const entry of pending) {
+    const node = getNodeById(String(entry.node_id ?? ""));
+    const st = node?.__interactive_crop_state;
+    // Still open here (a reconnect without a reload): nothing was lost.
+    if (!node || (st?.sessionActive && st.prompt_id === String(entry.prompt_id))) continue;
+    const remainingMs = entry.deadline ? Math.max(0, (Number(entry.deadline) - now) * 1000) : 0;
+    await startSession(entry.request, { remainingMs, selection: entry.selection });
+  }
+
+  // Drop drafts of sessions that are no longer waiting.
+  const keep = new Set(pending.map((p) => `${p.prompt_id}:${p.node_id}`));
+  const drafts = readDrafts();
+  for (const key of Object.keys(drafts)) if (!keep.has(key)) delete drafts[key];
+  writeDrafts(drafts);
+}
+
 app.registerExtension({
   name: "interactive.crop.inline",
 
+  async beforeRegisterNodeDef(nodeType, nodeData) {
+    if (nodeData?.name !== "InteractiveCrop") return;
+
+    const origConfigure = nodeType.prototype.onConfigure;
+    nodeType.prototype.onConfigure = function (info) {
+      const r = origConfigure ? origConfigure.apply(this, arguments) : undefined;
+      migrateLegacyWidgetValues(this, info);
+      return r;
+    };
+  },
+
   async setup() {
-    api.addEventListener("interactive.crop.request", async (event) => {
-      const d = event.detail || {};
-      const prompt_id = String(d.prompt_id ?? "");
-      const node_id = String(d.node ?? "");
-      const image = d.image;
+    try {
+      app.ui?.settings?.addSetting?.({
+        id: AUTO_SUGGEST_SETTING,
+        name: "Interactive Crop: suggest a crop when a session opens",
+        type: "boolean",
+        defaultValue: false,
+      });
+    } catch {}
 
-      const imgW = Number(d.width ?? 0);
-      const imgH = Number(d.height ?? 0);
-      const forceOriginalRatio = !!d.force_original_ratio;
+    api.addEventListener("interactive.crop.request", (event) => startSession(event.detail || {}));
+    // Requests sent while this tab was reloading or disconnected are lost; ask the server instead.
+    api.addEventListener("reconnected", () => recoverPendingSessions());
+    recoverPendingSessions();
 
-      if (!prompt_id || !node_id || !image) return;
+    api.addEventListener("interactive.crop.resolved", (event) => {
+      // Every decision is broadcast; close the session here unless this tab is the one that answered.
+      const d = event.detail || {};
+      const node = getNodeById(String(d.node ?? ""));
+      const st = node?.__interactive_crop_state;
+      if (!st?.sessionActive || st.submitted || st.prompt_id !== String(d.prompt_id ?? "")) return;
+      endResolvedSession(node, String(d.action ?? ""));
+    });
 
-      const node = getNodeById(node_id);
-      if (!node) return;
+    api.addEventListener("interactive.crop.selection", (event) => {
+      const d = event.detail || {};
+      if (d.client_id && d.client_id === api.clientId) return;
+      const node = getNodeById(String(d.node ?? ""));
+      if (node?.__interactive_crop_state?.prompt_id !== String(d.prompt_id ?? "")) return;
+      applyRemoteSelection(node, d.selection);
+    });
 
-      // If the user has bypassed/muted the node, immediately return passthrough
-      // so the backend doesn't block waiting for interaction.
-      if (isNodeBypassed(node)) {
-        try {
-          await postDecision({ prompt_id, node_id, action: "passthrough" });
-        } catch {}
-        return;
-      }
+    api.addEventListener("interactive.crop.auto_applied", (event) => {
+      // auto_apply_last reused the remembered crop; there is no session, only the result to show.
+      const d = event.detail || {};
+      const node = getNodeById(String(d.node ?? ""));
+      if (!node) return;
 
+      ensureRectWidgets(node);
       ensureButtons(node);
       attachInlineHandlers(node);
 
       if (ACTIVE_DRAG_NODE && ACTIVE_DRAG_NODE.id === node.id) {
         forceReleaseDrag();
       }
-
-      // Start session immediately
-      const st = (node.__interactive_crop_state = {
+      node.__interactive_crop_state = {
         ready: false,
-        prompt_id,
-        node_id,
-        imgW,
-        imgH,
+        sessionActive: false,
+        submitted: true,
         img: null,
-        rect: null,
-        dragging: false,
-        dragMode: null, // "new" | "move" | null
-        resizeHandle: null, // "nw"|"n"|"ne"|"e"|"se"|"s"|"sw"|"w"|null
-        resizeStartRect: null,
-        moveOffsetX: 0,
-        moveOffsetY: 0,
-        drawBox: null,
-        scale: 1,
-        startX: 0,
-        startY: 0,
-        sessionActive: true,
-        submitted: false,
-        forceOriginalRatio,
-      });
-
-      const qs = new URLSearchParams({
-        filename: image.filename,
-        type: image.type,
-        subfolder: image.subfolder || "",
-      });
-
-      const imgUrl = `/view?${qs.toString()}`;
-      st.imgUrl = imgUrl;
-
-      const img = new Image();
-      img.onload = () => {
-        st.img = img;
-        st.ready = true;
-        node.setDirtyCanvas(true, true);
+        regions: [],
+        activeRegion: -1,
+        frames: [],
+        hitRegions: [],
+        result: { kind: "auto", regions: Number(d.regions ?? 1) },
       };
-      img.src = imgUrl;
-
-      ACTIVE_SESSIONS.add(node);
+      ACTIVE_SESSIONS.delete(node);
+      syncRectWidgets(node);
+      refreshPendingPanel();
       node.setDirtyCanvas(true, true);
     });
   },
 });
+
+// Shared with the Interactive Uncrop front end (js/interactive_uncrop.js).
+export {
+  clamp,
+  hasPrimaryButton,
+  setCanvasCursor,
+  wrapTextLines,
+  postDecision,
+  previewUrl,
+  getNodeById,
+  isNodeSelected,
+  isNodeBypassed,
+  setWidgetDisabled,
+  calcWidgetAreaY,
+  isEditableTarget,
+  showNotice,
+};
@@ -0,0 +1,356 @@
+import { app } from "../../scripts/app.js";
+import { api } from "../../scripts/api.js";
+import {
+  clamp,
+  hasPrimaryButton,
+  setCanvasCursor,
+  wrapTextLines,
+  postDecision,
+  previewUrl,
+  getNodeById,
+  isNodeSelected,
+  isNodeBypassed,
+  setWidgetDisabled,
+  calcWidgetAreaY,
+  isEditableTarget,
+  showNotice,
+} from "./interactive_crop.js";
+
+const ACTIVE_UNCROP_SESSIONS = new Set();
+
+function isUncropInteractive(st) {
+  return !!(st && st.ready && st.sessionActive && !st.submitted);
+}
+
+async function submitUncrop(node, action) {
+  const st = node.__interactive_uncrop_state;
+  if (!isUncropInteractive(st)) return;
+
+  st.submitted = true;
+  node.setDirtyCanvas(true, true);
+
+  const answer = await postDecision({
+    prompt_id: st.prompt_id,
+    node_id: st.node_id,
+    action,
+    offset: action === "continue" ? { dx: Math.round(st.dx), dy: Math.round(st.dy) } : null,
+  });
+  if (answer.unsent) {
+    // Never reached the server: the pause is still open, so keep reviewing.
+    st.submitted = false;
+    showNotice(node, "Could not reach the server; nothing was sent.", st);
+    return;
+  }
+
+  // Not ok: already answered elsewhere (another tab, a script) or ended; either way this review is over.
+  st.sessionActive = false;
+  ACTIVE_UNCROP_SESSIONS.delete(node);
+  node.setDirtyCanvas(true, true);
+}
+
+function ensureUncropButtons(node) {
+  if (node.__interactive_uncrop_buttons_added) return;
+  node.__interactive_uncrop_buttons_added = true;
+
+  const apply = node.addWidget("button", "Apply Paste", "apply", () => submitUncrop(node, "continue"));
+  const cancel = node.addWidget("button", "Cancel Run", "cancel", () => submitUncrop(node, "cancel"));
+
+  node.__interactive_uncrop_apply_widget = apply;
+  node.__interactive_uncrop_cancel_widget = cancel;
+
+  setWidgetDisabled(apply, true);
+  setWidgetDisabled(cancel, true);
+}
+
+// -------------------------
+// Keyboard
+// -------------------------
+let UNCROP_KEYS_INSTALLED = false;
+
+function onUncropKeyDown(e) {
+  if (e.defaultPrevented || isEditableTarget(e.target)) return;
+
+  let node = null;
+  for (const n of ACTIVE_UNCROP_SESSIONS) {
+    if (isUncropInteractive(n.__interactive_uncrop_state) && isNodeSelected(n)) {
+      node = n;
+      break;
+    }
+  }
+  if (!node) return;
+
+  const st = node.__interactive_uncrop_state;
+  const step = e.shiftKey ? 10 : 1;
+  let handled = true;
+
+  switch (e.key) {
+    case "ArrowLeft":
+      st.dx -= step;
+      break;
+    case "ArrowRight":
+      st.dx += step;
+      break;
+    case "ArrowUp":
+      st.dy -= step;
+      break;
+    case "ArrowDown":
+      st.dy += step;
+      break;
+    case "Enter":
+      submitUncrop(node, "continue");
+      break;
+    case "Escape":
+      // First Escape resets the nudge, a second one cancels the run.
+      if (st.dx || st.dy) {
+        st.dx = 0;
+        st.dy = 0;
+      } else {
+        submitUncrop(node, "cancel");
+      }
+      break;
+    default:
+      handled = false;
+  }
+
+  if (!handled) return;
+  e.preventDefault();
+  e.stopImmediatePropagation();
+  node.setDirtyCanvas(true, true);
+}
+
+function ensureUncropKeys() {
+  if (UNCROP_KEYS_INSTALLED) return;
+  UNCROP_KEYS_INSTALLED = true;
+  window.addEventListener("keydown", onUncropKeyDown, { capture: true });
+}
+
+// -------------------------
+// Preview + placement drag
+// -------------------------
+function attachUncropHandlers(node) {
+  if (node.__interactive_uncrop_handlers_attached) return;
+  node.__interactive_uncrop_handlers_attached = true;
+
+  ensureUncropKeys();
+
+  const origDraw = node.onDrawForeground;
+  node.onDrawForeground = function (ctx) {
+    if (origDraw) origDraw.call(this, ctx);
+
+    const st = this.__interactive_uncrop_state;
+    const active = isUncropInteractive(st);
+    setWidgetDisabled(this.__interactive_uncrop_apply_widget, !active);
+    setWidgetDisabled(this.__interactive_uncrop_cancel_widget, !active);
+
+    if (!st || !st.ready || !st.img || !st.sessionActive) return;
+
+    const padding = 8;
+    const x = padding;
+    const y = calcWidgetAreaY(this);
+    const w = this.size[0] - padding * 2;
+
+    const maxH = clamp((this.size[1] ?? 0) - y - 48, 20, 2000);
+    const imgAR = st.imgW / st.imgH;
+    let drawW = w;
+    let drawH = Math.round(drawW / imgAR);
+    if (drawH > maxH) {
+      drawH = maxH;
+      drawW = Math.round(drawH * imgAR);
+    }
+
+    const drawX = x + Math.round((w - drawW) / 2);
+    const drawY = y;
+
+    st.drawBox = { x: drawX, y: drawY, w: drawW, h: drawH };
+    st.scale = drawW / st.imgW;
+
+    // frame
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.25)";
+    ctx.strokeStyle = "rgba(255,255,255,0.12)";
+    ctx.lineWidth = 1;
+    ctx.fillRect(drawX - 2, drawY - 2, drawW + 4, drawH + 4);
+    ctx.strokeRect(drawX - 2, drawY - 2, drawW + 4, drawH + 4);
+    ctx.restore();
+
+    // original, dimmed around the placement
+    ctx.drawImage(st.img, drawX, drawY, drawW, drawH);
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.45)";
+    ctx.fillRect(drawX, drawY, drawW, drawH);
+    ctx.restore();
+
+    const bx = drawX + (st.box.x + st.dx) * st.scale;
+    const by = drawY + (st.box.y + st.dy) * st.scale;
+    const bw = st.box.w * st.scale;
+    const bh = st.box.h * st.scale;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(drawX, drawY, drawW, drawH);
+    ctx.clip();
+    // Rotated boxes: draw the upright crop turned back by the box angle around its center.
+    ctx.translate(bx + bw / 2, by + bh / 2);
+    if (st.box.angle) ctx.rotate((st.box.angle * Math.PI) / 180);
+    if (st.overlay) ctx.drawImage(st.overlay, -bw / 2, -bh / 2, bw, bh);
+    ctx.strokeStyle = "rgba(255,255,255,0.95)";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(-bw / 2 + 0.5, -bh / 2 + 0.5, bw, bh);
+    ctx.restore();
+
+    // Instruction text (wrapped + clipped to node bounds)
+    const offset = st.dx || st.dy ? ` Offset: ${Math.round(st.dx)}, ${Math.round(st.dy)} px.` : "";
+    let msg = `Drag in the preview (or use arrow keys) to adjust the placement.${offset}`;
+    if (st.notice && Date.now() < st.notice.until) msg = `${st.notice.text} ${msg}`;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, this.size[0], this.size[1]);
+    ctx.clip();
+    ctx.font = "12px sans-serif";
+    ctx.fillStyle = "rgba(255,255,255,0.85)";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "alphabetic";
+    const lines = wrapTextLines(ctx, msg, Math.max(10, w));
+    for (let i = 0; i < lines.length; i++) {
+      ctx.fillText(lines[i], x + w / 2, drawY + drawH + 24 + i * 14);
+    }
+    ctx.restore();
+  };
+
+  const origMouseDown = node.onMouseDown;
+  node.onMouseDown = function (e, pos, graphcanvas) {
+    const st = this.__interactive_uncrop_state;
+    if (!isUncropInteractive(st) || !st.drawBox || !isNodeSelected(this)) {
+      return origMouseDown ? origMouseDown.call(this, e, pos, graphcanvas) : false;
+    }
+
+    const box = st.drawBox;
+    if (!(pos[0] >= box.x && pos[0] <= box.x + box.w && pos[1] >= box.y && pos[1] <= box.y + box.h)) {
+      return origMouseDown ? origMouseDown.call(this, e, pos, graphcanvas) : false;
+    }
+
+    st.dragging = true;
+    st.dragStart = { x: pos[0], y: pos[1], dx: st.dx, dy: st.dy };
+    setCanvasCursor(graphcanvas, "move");
+    this.setDirtyCanvas(true, true);
+    return true;
+  };
+
+  const origMouseMove = node.onMouseMove;
+  node.onMouseMove = function (e, pos, graphcanvas) {
+    const st = this.__interactive_uncrop_state;
+    if (!st || !st.dragging) {
+      return origMouseMove ? origMouseMove.call(this, e, pos, graphcanvas) : false;
+    }
+
+    // Missed mouseup or deselected mid-drag: release.
+    if (!hasPrimaryButton(e) || !isNodeSelected(this)) {
+      st.dragging = false;
+      setCanvasCursor(graphcanvas, "");
+      this.setDirtyCanvas(true, true);
+      return false;
+    }
+
+    const s = st.scale || 1;
+    st.dx = Math.round(st.dragStart.dx + (pos[0] - st.dragStart.x) / s);
+    st.dy = Math.round(st.dragStart.dy + (pos[1] - st.dragStart.y) / s);
+    this.setDirtyCanvas(true, true);
+    return true;
+  };
+
+  const origMouseUp = node.onMouseUp;
+  node.onMouseUp = function (e, pos, graphcanvas) {
+    const st = this.__interactive_uncrop_state;
+    if (st && st.dragging) {
+      st.dragging = false;
+      setCanvasCursor(graphcanvas, "");
+      this.setDirtyCanvas(true, true);
+      return true;
+    }
+    return origMouseUp ? origMouseUp.call(this, e, pos, graphcanvas) : false;
+  };
+}
+
+function loadImage(url, onload) {
+  const img = new Image();
+  img.onload = () => onload(img);
+  img.src = url;
+}
+
+app.registerExtension({
+  name: "interactive.uncrop.inline",
+
+  async setup() {
+    api.addEventListener("interactive.uncrop.request", async (event) => {
+      const d = event.detail || {};
+      const prompt_id = String(d.prompt_id ?? "");
+      const node_id = String(d.node ?? "");
+      if (!prompt_id || !node_id || !d.image || !d.overlay) return;
+
+      const node = getNodeById(node_id);
+      if (!node) return;
+
+      // Bypassed/muted: answer immediately so the backend doesn't block.
+      if (isNodeBypassed(node)) {
+        try {
+          await postDecision({ prompt_id, node_id, action: "passthrough" });
+        } catch {}
+        return;
+      }
+
+      ensureUncropButtons(node);
+      attachUncropHandlers(node);
+
+      const box = d.box || {};
+      const st = (node.__interactive_uncrop_state = {
+        ready: false,
+        prompt_id,
+        node_id,
+        imgW: Number(d.width ?? 0),
+        imgH: Number(d.height ?? 0),
+        img: null,
+        overlay: null,
+        box: {
+          x: Number(box.x ?? 0),
+          y: Number(box.y ?? 0),
+          w: Number(box.width ?? 0),
+          h: Number(box.height ?? 0),
+          angle: Number(box.angle ?? 0) || 0,
+        },
+        dx: 0,
+        dy: 0,
+        dragging: false,
+        dragStart: null,
+        drawBox: null,
+        scale: 1,
+        sessionActive: true,
+        submitted: false,
+      });
+
+      loadImage(previewUrl(d.image), (img) => {
+        st.img = img;
+        st.ready = true;
+        node.setDirtyCanvas(true, true);
+      });
+      loadImage(previewUrl(d.overlay), (img) => {
+        st.overlay = img;
+        node.setDirtyCanvas(true, true);
+      });
+
+      ACTIVE_UNCROP_SESSIONS.add(node);
+      node.setDirtyCanvas(true, true);
+    });
+
+    api.addEventListener("interactive.crop.resolved", (event) => {
+      // Answered by another tab or over the HTTP API: stop reviewing here.
+      const d = event.detail || {};
+      const node = getNodeById(String(d.node ?? ""));
+      const st = node?.__interactive_uncrop_state;
+      if (!st?.sessionActive || st.submitted || st.prompt_id !== String(d.prompt_id ?? "")) return;
+      st.sessionActive = false;
+      ACTIVE_UNCROP_SESSIONS.delete(node);
+      node.setDirtyCanvas(true, true);
+    });
+  },
+});